@@ -1,7 +1,10 @@
-const { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder, ActivityType, Options } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder, ActivityType, Options, SlashCommandBuilder, MessageFlags, PermissionFlagsBits, ChannelType, InteractionContextType, ActionRowBuilder, ButtonBuilder, ButtonStyle, Partials } = require('discord.js');
 const axios = require('axios');
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const Ajv = require('ajv');
 require('dotenv').config();
 
 // ============================================================================
@@ -10,15 +13,46 @@ require('dotenv').config();
 
 const LOW_MEMORY = process.env.LOW_MEMORY_MODE === 'true';
 
+function isInstalled(moduleName) {
+    try {
+        require.resolve(moduleName);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
 const CONFIG = {
     files: {
         personality: path.join(__dirname, 'personality.json'),
-        conversations: path.join(__dirname, 'conversations.json')
+        personalities: path.join(__dirname, 'personalities'),
+        personalitySchema: path.join(__dirname, 'personality.schema.json'),
+        providers: path.join(__dirname, 'providers.json'),
+        moderation: path.join(__dirname, 'moderation.json'),
+        guilds: path.join(__dirname, 'guilds.json'),
+        schedules: path.join(__dirname, 'schedules.json'),
+        quotas: path.join(__dirname, 'quotas.json'),
+        conversations: path.join(__dirname, 'conversations.json'),
+        database: process.env.DATABASE_PATH || path.join(__dirname, 'conversations.db'),
+        backups: path.join(__dirname, 'backups')
+    },
+    storage: {
+        // "json" rewrites conversations.json, "sqlite" stores users and history in conversations.db.
+        // JSON keeps every stored user in memory, so evicting users only frees memory with SQLite,
+        // which low-memory mode uses by default when better-sqlite3 is installed
+        backend: (process.env.STORAGE_BACKEND ||
+            (LOW_MEMORY && isInstalled('better-sqlite3') ? 'sqlite' : 'json')).toLowerCase(),
+        // Snapshots kept in ./backups, taken at most once per interval
+        backupCount: parseInt(process.env.BACKUP_COUNT, 10) || 5,
+        backupInterval: LOW_MEMORY ? 3600000 : 1800000 // 1hr vs 30min
     },
     limits: {
         // Reduced limits for low memory
         conversationHistory: LOW_MEMORY ? 20 : 100,
-        conversationContext: LOW_MEMORY ? 2 : 3,
+        // Approximate tokens of history sent to the AI with each message
+        contextTokenBudget: parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || (LOW_MEMORY ? 600 : 1500),
+        // Stored messages are capped well above Discord's 2000 character limit
+        maxStoredMessageLength: LOW_MEMORY ? 1000 : 4000,
         maxRetries: 2,
         conversationRetentionDays: LOW_MEMORY ? 3 : 7,
         maxUsersInMemory: LOW_MEMORY ? 50 : 200,
@@ -32,8 +66,138 @@ const CONFIG = {
         activityUpdate: 30000,
         memoryCheck: LOW_MEMORY ? 60000 : 300000 // 1min vs 5min
     },
+    language: {
+        default: process.env.DEFAULT_LANGUAGE || 'en',
+        // Confidence needed before a message overrides the user's remembered language
+        minConfidence: 0.5,
+        // Score at which a single message counts as conclusive
+        evidenceTarget: 2,
+        characterWeight: 0.5,
+        scriptWeight: 10
+    },
+    memory: {
+        // Ask the AI for new facts after this many unprocessed exchanges
+        autoExtract: process.env.MEMORY_AUTO_EXTRACT !== 'false',
+        extractEvery: LOW_MEMORY ? 8 : 5,
+        maxFacts: LOW_MEMORY ? 20 : 50,
+        maxFactLength: 200,
+        // Most recent facts included in the system prompt
+        promptFacts: LOW_MEMORY ? 10 : 20
+    },
+    summary: {
+        // Expired history is rolled into a running summary instead of being lost
+        useAI: process.env.SUMMARY_USE_AI !== 'false',
+        maxLength: LOW_MEMORY ? 800 : 1500,
+        maxWords: LOW_MEMORY ? 120 : 200,
+        maxPending: 200,
+        // Stored users summarized per cleanup run
+        cleanupBatch: LOW_MEMORY ? 20 : 100
+    },
+    streaming: {
+        enabled: process.env.STREAMING_ENABLED !== 'false',
+        // Discord allows ~5 edits per 5s per channel, stay well below that
+        editInterval: 1200,
+        // Wait for a few words before posting the first chunk
+        minInitialChars: 20
+    },
+    quota: {
+        // Daily key counters reset at this UTC time, providers can set their own "quotaResetTime"
+        resetTime: process.env.QUOTA_RESET_TIME || '00:00'
+    },
+    rateLimits: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        // Token buckets: up to "capacity" replies in a burst, refilled at "refillPerMinute"
+        user: { capacity: 5, refillPerMinute: 6 },
+        channel: { capacity: 15, refillPerMinute: 20 },
+        guild: { capacity: 40, refillPerMinute: 60 },
+        // Images cost more than chat replies
+        imageCost: 3,
+        // Generations per user, the running one included
+        maxQueuedPerUser: 2,
+        // "Slow down" replies are sent at most once per interval per bucket
+        warnInterval: 30000
+    },
+    attachments: {
+        // Images sent to vision models with a chat message
+        maxImages: LOW_MEMORY ? 1 : 3,
+        maxImageBytes: (LOW_MEMORY ? 2 : 5) * 1024 * 1024,
+        // Text files are pasted into the message, cut at maxTextChars
+        readText: process.env.READ_TEXT_ATTACHMENTS !== 'false',
+        maxTextBytes: 256 * 1024,
+        maxTextChars: LOW_MEMORY ? 2000 : 6000,
+        // Rough token cost of one image, for quota accounting
+        imageTokens: 260,
+        timeout: 10000
+    },
+    images: {
+        // Side of the default square, other aspect ratios keep about the same pixel count
+        baseSize: 512,
+        minSize: 256,
+        maxSize: LOW_MEMORY ? 768 : 1024,
+        // How far a variation strays from the original, for backends with variation seeds
+        variationStrength: 0.3,
+        // Requests remembered for the reroll and variation buttons
+        storedRequests: LOW_MEMORY ? 50 : 300
+    },
+    groupContext: {
+        // Recent messages from other people in the channel, so replies know who else is talking
+        enabled: process.env.GROUP_CONTEXT !== 'false',
+        messages: LOW_MEMORY ? 5 : 10,
+        maxAgeMinutes: 30,
+        maxChars: 300,
+        // Replies are followed back through this many messages
+        replyDepth: 5
+    },
+    threads: {
+        // Threads started in channels set with /channel threads
+        autoArchiveMinutes: 1440,
+        name: '{ai} & {user}'
+    },
+    dm: {
+        // Direct messages are ignored unless turned on, the DirectMessages intent is only requested then
+        enabled: process.env.DM_ENABLED === 'true',
+        // Members of these servers may DM (empty: anyone), listed users always may, blocked users never
+        allowedGuilds: parseIdList(process.env.DM_ALLOWED_GUILDS),
+        allowedUsers: parseIdList(process.env.DM_ALLOWED_USERS),
+        blockedUsers: parseIdList(process.env.DM_BLOCKED_USERS),
+        // Relationship level needed with the persona before it answers DMs
+        minLevel: parseInt(process.env.DM_MIN_LEVEL, 10) || 1,
+        // Refused users are told why at most once per interval
+        noticeInterval: 3600000
+    },
+    schedule: {
+        enabled: process.env.SCHEDULER_ENABLED !== 'false',
+        tick: 60000,
+        // Default local times, users can pick their own with /schedule enable
+        morningTime: '08:00',
+        nightTime: '22:00',
+        // Birthdays, anniversaries and "miss you" messages go out from this time on
+        eventTime: '12:00',
+        // A message missed by up to this much (bot offline, quiet hours) is still sent
+        lateMinutes: 120,
+        missYouDays: parseInt(process.env.MISS_YOU_DAYS, 10) || 3
+    },
+    tools: {
+        // Lets the AI draw, set reminders and more mid-conversation, on providers with "tools": true
+        enabled: process.env.TOOLS_ENABLED !== 'false',
+        disabled: parseIdList(process.env.TOOLS_DISABLED),
+        // Rounds of tool calls before the reply has to be plain text
+        maxRounds: 3,
+        maxCallsPerRound: 3,
+        maxReminders: 10,
+        maxReminderDays: 30,
+        maxDice: 20,
+        maxSides: 1000
+    },
+    reload: {
+        // Reload personas when their files change, /admin reload works either way
+        watch: process.env.PERSONALITY_WATCH !== 'false',
+        debounce: 1000
+    },
     timeouts: {
         apiRequest: 20000,
+        // Longest wait between attempts when a keyless provider asks to retry later
+        maxRetryDelay: 10000,
         saveDebounce: LOW_MEMORY ? 5000 : 2000
     }
 };
@@ -42,8 +206,11 @@ const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent
+        GatewayIntentBits.MessageContent,
+        ...(CONFIG.dm.enabled ? [GatewayIntentBits.DirectMessages] : [])
     ],
+    // DM channels are never cached before their first message
+    partials: CONFIG.dm.enabled ? [Partials.Channel] : [],
     // Optimize client settings for low memory
     sweepers: {
         messages: {
@@ -67,9 +234,15 @@ const client = new Client({
     })
 });
 
-let personality = null;
+const DEFAULT_PERSONA_ID = 'default';
+
+let personality = null; // personality.json, the "default" persona
+let personas = new Map();
+let compiledLanguages = [];
 let conversations = {};
+let storage = null;
 let saveTimeout = null;
+let commandRegistry = new Map();
 let lastCleanup = Date.now();
 
 // ============================================================================
@@ -98,11 +271,17 @@ function pruneOldUsers() {
     const maxAge = CONFIG.limits.maxCacheAge;
     let pruned = 0;
     
+    // Evicted users stay in storage and are loaded again on their next message
+    const evict = (userId) => {
+        storage?.saveUsers([conversations[userId]]);
+        delete conversations[userId];
+        pruned++;
+    };
+    
     for (const userId in conversations) {
         const lastMsg = new Date(conversations[userId].lastMessage).getTime();
         if (now - lastMsg > maxAge) {
-            delete conversations[userId];
-            pruned++;
+            evict(userId);
         }
     }
     
@@ -115,10 +294,7 @@ function pruneOldUsers() {
             return timeB - timeA;
         });
         
-        sorted.slice(CONFIG.limits.maxUsersInMemory).forEach(id => {
-            delete conversations[id];
-            pruned++;
-        });
+        sorted.slice(CONFIG.limits.maxUsersInMemory).forEach(evict);
     }
     
     if (pruned > 0) {
@@ -140,7 +316,7 @@ async function checkMemoryPressure() {
         // Emergency save if needed
         if (mem.heapUsed > threshold * 1.2) {
             await saveConversations();
-            conversations = {}; // Clear all and reload on demand
+            conversations = {}; // Everything is persisted, users reload on demand
             console.log('🚨 Emergency memory clear performed');
         }
     }
@@ -150,47 +326,122 @@ async function checkMemoryPressure() {
 // LIGHTWEIGHT API KEY MANAGER
 // ============================================================================
 
+// "1h2m3.5s", "750ms" or plain seconds, as used by Retry-After and x-ratelimit-reset-* headers
+function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text) * 1000;
+    
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    let total = null;
+    for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+        total = (total || 0) + parseFloat(amount) * units[unit];
+    }
+    
+    // Retry-After may also be an HTTP date
+    if (total === null && !Number.isNaN(Date.parse(text))) total = Math.max(0, Date.parse(text) - Date.now());
+    return total;
+}
+
+// Start of the current quota day, given a daily reset time "HH:MM" in UTC
+function quotaPeriodStart(resetTime, now = Date.now()) {
+    const [hours, minutes] = (resetTime || '00:00').split(':').map(Number);
+    const start = new Date(now);
+    start.setUTCHours(hours || 0, minutes || 0, 0, 0);
+    if (start.getTime() > now) start.setUTCDate(start.getUTCDate() - 1);
+    return start.getTime();
+}
+
 class APIKeyManager {
-    constructor(keys, serviceName) {
+    // limits: { requestsPerMinute, requestsPerDay, tokensPerMinute, tokensPerDay }, any may be omitted.
+    // keyless: the single key is a placeholder for a server without authentication, it isn't
+    // blocked when the server asks to retry later since there is no other key to fall back to
+    constructor(keys, serviceName, { limits = {}, resetTime = CONFIG.quota.resetTime, keyless = false } = {}) {
         this.keys = keys.filter(key => key && key.trim());
         this.serviceName = serviceName;
-        this.currentIndex = 0;
+        this.keyless = keyless;
+        this.limits = limits;
+        this.resetTime = resetTime;
         this.keyStatus = new Map();
         
-        this.keys.forEach((_, index) => {
+        this.keys.forEach((key, index) => {
             this.keyStatus.set(index, {
+                // Quotas are persisted by fingerprint, never by the key itself
+                id: sha256(key).substring(0, 12),
                 isBlocked: false,
                 blockUntil: null,
-                consecutiveErrors: 0
+                consecutiveErrors: 0,
+                periodStart: quotaPeriodStart(resetTime),
+                requestsToday: 0,
+                tokensToday: 0,
+                // Requests of the last minute: { at, tokens }
+                recent: [],
+                // Last rate limit headers: { requests, requestLimit, tokens, tokenLimit, until }
+                reported: null
             });
         });
         
         console.log(`🔑 Loaded ${this.keys.length} ${serviceName} key(s)`);
     }
 
+    // Resets daily counters after the reset time and forgets requests older than a minute
+    refresh(status, now = Date.now()) {
+        const periodStart = quotaPeriodStart(this.resetTime, now);
+        if (status.periodStart < periodStart) {
+            status.periodStart = periodStart;
+            status.requestsToday = 0;
+            status.tokensToday = 0;
+        }
+        
+        status.recent = status.recent.filter(entry => now - entry.at < 60000);
+        if (status.reported && now >= status.reported.until) status.reported = null;
+        
+        if (status.isBlocked && status.blockUntil && now >= status.blockUntil) {
+            status.isBlocked = false;
+            status.blockUntil = null;
+            status.consecutiveErrors = Math.max(0, status.consecutiveErrors - 1);
+        }
+    }
+
+    isWithinLimits(status) {
+        const { requestsPerMinute, requestsPerDay, tokensPerMinute, tokensPerDay } = this.limits;
+        const minuteTokens = status.recent.reduce((sum, entry) => sum + entry.tokens, 0);
+        
+        return !(requestsPerDay && status.requestsToday >= requestsPerDay) &&
+               !(tokensPerDay && status.tokensToday >= tokensPerDay) &&
+               !(requestsPerMinute && status.recent.length >= requestsPerMinute) &&
+               !(tokensPerMinute && minuteTokens >= tokensPerMinute);
+    }
+
+    // Share of today's quota left, from our own counters and the provider's headers (1 when unknown)
+    remainingShare(status) {
+        const { requestsPerDay, tokensPerDay } = this.limits;
+        const shares = [1];
+        
+        if (requestsPerDay) shares.push(1 - status.requestsToday / requestsPerDay);
+        if (tokensPerDay) shares.push(1 - status.tokensToday / tokensPerDay);
+        if (status.reported?.requestLimit) shares.push(status.reported.requests / status.reported.requestLimit);
+        if (status.reported?.tokenLimit) shares.push(status.reported.tokens / status.reported.tokenLimit);
+        
+        return Math.min(...shares);
+    }
+
+    // Picks the usable key with the most quota left, then the least used one today
     getNextAvailable() {
-        const now = Date.now();
+        let best = null;
         
-        // Unblock expired keys
         this.keyStatus.forEach((status, index) => {
-            if (status.isBlocked && status.blockUntil && now >= status.blockUntil) {
-                status.isBlocked = false;
-                status.blockUntil = null;
-                status.consecutiveErrors = Math.max(0, status.consecutiveErrors - 1);
-            }
-        });
-        
-        // Find first available
-        for (let i = 0; i < this.keys.length; i++) {
-            const keyIndex = (this.currentIndex + i) % this.keys.length;
-            const status = this.keyStatus.get(keyIndex);
+            this.refresh(status);
+            if (status.isBlocked || !this.isWithinLimits(status)) return;
             
-            if (!status.isBlocked) {
-                return { key: this.keys[keyIndex], index: keyIndex };
+            const candidate = { index, share: this.remainingShare(status), used: status.requestsToday };
+            if (!best || candidate.share > best.share ||
+                (candidate.share === best.share && candidate.used < best.used)) {
+                best = candidate;
             }
-        }
+        });
         
-        return null;
+        return best ? { key: this.keys[best.index], index: best.index } : null;
     }
 
     blockKey(keyIndex, duration = 120000) {
@@ -198,473 +449,4193 @@ class APIKeyManager {
         if (!status) return;
         
         status.isBlocked = true;
-        status.blockUntil = Date.now() + duration;
+        status.blockUntil = Math.max(status.blockUntil || 0, Date.now() + duration);
         status.consecutiveErrors++;
     }
 
-    markSuccess(keyIndex) {
+    msUntilReset() {
+        return quotaPeriodStart(this.resetTime) + 86400000 - Date.now();
+    }
+
+    recordRequest(status, tokens = 0) {
+        this.refresh(status);
+        status.requestsToday++;
+        status.tokensToday += tokens;
+        status.recent.push({ at: Date.now(), tokens });
+    }
+
+    // headers: the provider's response headers, used to stop before its limits are hit
+    markSuccess(keyIndex, { tokens = 0, headers = null } = {}) {
+        const status = this.keyStatus.get(keyIndex);
+        if (!status) return;
+        
+        this.recordRequest(status, tokens);
+        status.consecutiveErrors = 0;
+        
+        const limits = readRateLimitHeaders(headers);
+        if (limits.remainingRequests === null && limits.remainingTokens === null) return;
+        
+        status.reported = {
+            requests: limits.remainingRequests,
+            requestLimit: limits.requestLimit,
+            tokens: limits.remainingTokens,
+            tokenLimit: limits.tokenLimit,
+            until: Date.now() + Math.max(limits.resetRequests || 0, limits.resetTokens || 0, 60000)
+        };
+        
+        // Out of quota: rest until the provider says it refills, without counting it as an error
+        if (!this.keyless && (limits.remainingRequests === 0 || limits.remainingTokens === 0)) {
+            const wait = Math.max(
+                limits.remainingRequests === 0 ? limits.resetRequests || 0 : 0,
+                limits.remainingTokens === 0 ? limits.resetTokens || 0 : 0
+            );
+            status.isBlocked = true;
+            status.blockUntil = Date.now() + (wait || 60000);
+        }
+    }
+
+    // Blocks a failed key for as long as the provider asks, falling back to the given durations.
+    // A keyless provider asking to retry later isn't blocked, the returned delay (its retry hint,
+    // or null) is waited out before the next attempt instead
+    markFailure(keyIndex, error, { errorBlockMs, rateLimitBlockMs }) {
+        const status = this.keyStatus.get(keyIndex);
+        if (!status) return null;
+        
+        // Requests the provider answered count towards its quota
+        if (error.response) this.recordRequest(status);
+        
+        if (error.response?.status !== 429) {
+            this.blockKey(keyIndex, errorBlockMs);
+            return null;
+        }
+        
+        const limits = readRateLimitHeaders(error.response.headers);
+        const retryAfter = limits.retryAfter ?? getRetryDelay(error.response.data) ??
+                           Math.max(limits.resetRequests || 0, limits.resetTokens || 0);
+        if (this.keyless && retryAfter) return retryAfter;
+        
+        // A daily quota without a retry hint is exhausted until the next reset
+        const isDaily = /per.?day|daily|\bRPD\b|\bTPD\b/i.test(errorBodyText(error.response.data));
+        this.blockKey(keyIndex, retryAfter || (isDaily ? this.msUntilReset() : rateLimitBlockMs));
+        return null;
+    }
+
+    unblockKey(keyIndex) {
         const status = this.keyStatus.get(keyIndex);
         if (!status) return;
         
+        status.isBlocked = false;
+        status.blockUntil = null;
         status.consecutiveErrors = 0;
-        this.currentIndex = keyIndex;
     }
+
+    getStatus() {
+        return [...this.keyStatus.entries()].map(([index, status]) => {
+            this.refresh(status);
+            return {
+                index,
+                id: status.id,
+                blockedFor: status.isBlocked ? Math.max(0, (status.blockUntil || 0) - Date.now()) : 0,
+                requestsToday: status.requestsToday,
+                tokensToday: status.tokensToday,
+                requestsLastMinute: status.recent.length,
+                remainingShare: this.remainingShare(status)
+            };
+        });
+    }
+
+    // Daily counters and blocks survive restarts, minute windows don't need to
+    toJSON() {
+        const data = {};
+        this.keyStatus.forEach(status => {
+            data[status.id] = {
+                periodStart: status.periodStart,
+                requests: status.requestsToday,
+                tokens: status.tokensToday,
+                blockUntil: status.isBlocked ? status.blockUntil : null
+            };
+        });
+        return data;
+    }
+
+    restore(data = {}) {
+        this.keyStatus.forEach(status => {
+            const saved = data[status.id];
+            if (!saved) return;
+            
+            status.periodStart = saved.periodStart;
+            status.requestsToday = saved.requests || 0;
+            status.tokensToday = saved.tokens || 0;
+            if (saved.blockUntil > Date.now()) {
+                status.isBlocked = true;
+                status.blockUntil = saved.blockUntil;
+            }
+            this.refresh(status);
+        });
+    }
+}
+
+// OpenAI-style x-ratelimit-* headers (Groq, OpenAI, most compatible servers) and Retry-After
+function readRateLimitHeaders(headers) {
+    const read = name => headers?.[name] ?? null;
+    const number = name => (read(name) === null ? null : Number(read(name)));
+    
+    return {
+        requestLimit: number('x-ratelimit-limit-requests'),
+        remainingRequests: number('x-ratelimit-remaining-requests'),
+        resetRequests: parseDuration(read('x-ratelimit-reset-requests')),
+        tokenLimit: number('x-ratelimit-limit-tokens'),
+        remainingTokens: number('x-ratelimit-remaining-tokens'),
+        resetTokens: parseDuration(read('x-ratelimit-reset-tokens')),
+        retryAfter: parseDuration(read('retry-after'))
+    };
 }
 
-const groqManager = new APIKeyManager([
-    process.env.GROQ_API_KEY_1,
-    process.env.GROQ_API_KEY_2,
-    process.env.GROQ_API_KEY_3
-], 'Groq');
+// Never throws, so an odd body (e.g. a stream that couldn't be read) can't keep a key from being blocked
+function errorBodyText(body) {
+    if (typeof body === 'string') return body;
+    try {
+        return JSON.stringify(body ?? '');
+    } catch {
+        return '';
+    }
+}
 
-const geminiManager = new APIKeyManager([
-    process.env.GEMINI_API_KEY_1,
-    process.env.GEMINI_API_KEY_2,
-    process.env.GEMINI_API_KEY_3
-], 'Gemini');
+// Gemini puts the delay in the error body: details[{ "@type": "...RetryInfo", retryDelay: "30s" }]
+function getRetryDelay(body) {
+    const details = body?.error?.details;
+    if (!Array.isArray(details)) return null;
+    
+    const retryInfo = details.find(detail => detail?.['@type']?.endsWith('RetryInfo'));
+    return parseDuration(retryInfo?.retryDelay);
+}
 
 // ============================================================================
-// PERSONALITY CONFIGURATION
+// AI PROVIDER REGISTRY
 // ============================================================================
 
-async function loadPersonality() {
+// Built-in providers; providers.json can override any field or add new ones
+const DEFAULT_PROVIDERS = {
+    order: ['groq', 'gemini'],
+    providers: {
+        groq: {
+            type: 'openai',
+            label: 'Groq',
+            baseUrl: 'https://api.groq.com/openai/v1',
+            model: 'llama-3.1-8b-instant',
+            keyEnv: ['GROQ_API_KEY_1', 'GROQ_API_KEY_2', 'GROQ_API_KEY_3'],
+            retries: 2,
+            tools: true,
+            // Free tier limits per key
+            limits: { requestsPerMinute: 30, requestsPerDay: 14400, tokensPerMinute: 6000, tokensPerDay: 500000 }
+        },
+        gemini: {
+            type: 'gemini',
+            label: 'Gemini',
+            baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+            model: 'gemini-1.5-flash',
+            keyEnv: ['GEMINI_API_KEY_1', 'GEMINI_API_KEY_2', 'GEMINI_API_KEY_3'],
+            retries: 1,
+            vision: true,
+            tools: true,
+            limits: { requestsPerMinute: 15, requestsPerDay: 1500, tokensPerMinute: 1000000 },
+            // Gemini quotas reset at midnight Pacific time
+            quotaResetTime: '08:00'
+        }
+    }
+};
+
+const PROVIDER_DEFAULTS = {
+    enabled: true,
+    requiresKey: true,
+    stream: true,
+    keyEnv: [],
+    maxTokens: 120,
+    temperature: 0.85,
+    retries: 1,
+    timeout: null,
+    errorBlockMs: 180000,
+    // Used when a 429 comes without Retry-After or rate limit headers
+    rateLimitBlockMs: 600000,
+    limits: {},
+    quotaResetTime: null,
+    // Accepts images, either with its own model or with "visionModel" for messages that carry one
+    vision: false,
+    visionModel: null,
+    // Supports function calling; others get no tools and see earlier tool calls as plain text
+    tools: false
+};
+
+let providers = [];
+let quotaSaveTimeout = null;
+
+async function loadQuotas() {
     try {
-        const data = await fs.readFile(CONFIG.files.personality, 'utf8');
-        personality = JSON.parse(data);
-        console.log(`💖 Loaded personality: ${personality.personality.name}`);
-        return true;
+        return JSON.parse(await fs.readFile(CONFIG.files.quotas, 'utf8'));
     } catch (error) {
-        console.error('❌ Error loading personality.json:', error);
-        throw new Error('personality.json is required');
+        if (error.code !== 'ENOENT') console.error('Quota load error:', error.message);
+        return {};
     }
 }
 
-function replacePlaceholders(text, userName = 'friend') {
-    if (!text || typeof text !== 'string') return text;
-    return text
-        .replace(/{ai}/gi, personality.personality.name)
-        .replace(/{user}/gi, userName);
+async function saveQuotas() {
+    clearTimeout(quotaSaveTimeout);
+    quotaSaveTimeout = null;
+    
+    try {
+        const data = Object.fromEntries(providers.map(provider => [provider.name, provider.keyManager.toJSON()]));
+        await writeFileAtomic(CONFIG.files.quotas, JSON.stringify(data, null, 2));
+    } catch (error) {
+        console.error('Quota save error:', error);
+    }
 }
 
-function buildSystemPrompt(userName) {
-    if (!personality) return "You are a helpful AI assistant.";
-    
-    const p = personality.personality;
-    let prompt = `You are ${p.name}. ${p.description}\n\n`;
-    
-    if (p.responseStyle) {
-        prompt += `STYLE: ${replacePlaceholders(p.responseStyle, userName)}\n\n`;
+function debouncedQuotaSave() {
+    clearTimeout(quotaSaveTimeout);
+    quotaSaveTimeout = setTimeout(saveQuotas, CONFIG.timeouts.saveDebounce);
+}
+
+function toEnvPrefix(name) {
+    return name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+async function loadProviders() {
+    let fileConfig = {};
+    try {
+        fileConfig = JSON.parse(await fs.readFile(CONFIG.files.providers, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`providers.json is invalid: ${error.message}`);
     }
     
-    if (p.likes?.length > 0) {
-        prompt += `LOVES: ${p.likes.slice(0, 5).join(', ')}\n`;
+    const definitions = { ...DEFAULT_PROVIDERS.providers };
+    for (const [name, definition] of Object.entries(fileConfig.providers || {})) {
+        definitions[name] = { ...definitions[name], ...definition };
     }
     
-    if (p.conversationGoals?.length > 0) {
-        prompt += `GOALS: ${p.conversationGoals[0]}\n`;
+    const envOrder = process.env.AI_PROVIDER_ORDER?.split(',').map(name => name.trim()).filter(Boolean);
+    const order = envOrder?.length ? envOrder : (fileConfig.order || DEFAULT_PROVIDERS.order);
+    
+    const savedQuotas = await loadQuotas();
+    
+    providers = [];
+    for (const name of order) {
+        const definition = definitions[name];
+        if (!definition) {
+            console.warn(`⚠️ Unknown AI provider "${name}" in provider order`);
+            continue;
+        }
+        
+        // Env overrides, e.g. LOCAL_MODEL or GROQ_BASE_URL
+        const prefix = toEnvPrefix(name);
+        const provider = {
+            ...PROVIDER_DEFAULTS,
+            ...definition,
+            name,
+            label: definition.label || name,
+            model: process.env[`${prefix}_MODEL`] || definition.model,
+            baseUrl: (process.env[`${prefix}_BASE_URL`] || definition.baseUrl || '').replace(/\/+$/, '')
+        };
+        
+        // Naming a provider in AI_PROVIDER_ORDER enables it
+        if (!provider.enabled && !envOrder?.length) continue;
+        
+        if (!providerAdapters[provider.type]) {
+            console.warn(`⚠️ Provider "${name}" has unknown type "${provider.type}"`);
+            continue;
+        }
+        
+        // Keyless backends (Ollama, llama.cpp) get a placeholder key so they still go through APIKeyManager
+        const keys = provider.requiresKey ? provider.keyEnv.map(env => process.env[env]) : ['none'];
+        provider.keyManager = new APIKeyManager(keys, provider.label, {
+            limits: provider.limits,
+            resetTime: provider.quotaResetTime || CONFIG.quota.resetTime,
+            keyless: !provider.requiresKey
+        });
+        provider.keyManager.restore(savedQuotas[name]);
+        providers.push(provider);
     }
     
-    prompt += `\nIMPORTANT: Detect user's language and reply in SAME language. Keep responses under 150 words.`;
+    console.log(`🤖 AI providers: ${providers.map(p => `${p.name} (${p.model})`).join(' → ') || 'none'}`);
     
-    return prompt;
+    loadImageProviders(fileConfig.images);
 }
 
 // ============================================================================
-// LANGUAGE & INTENT DETECTION (OPTIMIZED)
+// PERSONALITY CONFIGURATION
 // ============================================================================
 
-function detectLanguage(text) {
-    if (!text) return 'en';
-    const lower = text.toLowerCase();
-    
-    // Quick keyword check
-    if (/\b(je|tu|le|la|bonjour)\b/.test(lower)) return 'fr';
-    if (/\b(hola|que|como|esta)\b/.test(lower)) return 'es';
-    if (/\b(hallo|ich|du|der)\b/.test(lower)) return 'de';
+const validatePersonalitySchema = new Ajv({ allErrors: true, allowUnionTypes: true })
+    .compile(require(CONFIG.files.personalitySchema));
+
+// Readable "path message" lines, empty when the data matches personality.schema.json
+function validatePersonality(data) {
+    if (validatePersonalitySchema(data)) return [];
     
-    return 'en';
+    return validatePersonalitySchema.errors
+        // An anyOf failure is already explained by the errors of its branches
+        .filter(error => error.keyword !== 'anyOf')
+        .map(error => {
+            const extra = error.params.additionalProperty ? ` "${error.params.additionalProperty}"` : '';
+            const allowed = error.params.allowedValues ? `: ${error.params.allowedValues.join(', ')}` : '';
+            return `${error.instancePath || '(root)'} ${error.message}${extra}${allowed}`;
+        });
 }
 
-function detectIntent(message) {
-    if (!personality.responses?.intents) return 'random';
+async function readPersonaFile(filePath, id) {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
     
-    const lower = message.toLowerCase();
-    
-    // Priority intents first
-    if (/\b(profile|who are you|about)\b/.test(lower)) return 'profile';
-    if (/\b(stats|statistics|level)\b/.test(lower)) return 'stats';
-    if (/\b(hi|hello|hey|bonjour|hola)\b/.test(lower)) return 'greetings';
-    if (/\b(night|sleep|bed|gn)\b/.test(lower)) return 'goodnight';
-    if (/\b(love|kiss|miss|heart)\b/.test(lower)) return 'love';
-    if (/\b(hug|cuddle|embrace)\b/.test(lower)) return 'hug';
-    if (/\b(beautiful|cute|gorgeous|sexy)\b/.test(lower)) return 'flirty';
+    const errors = validatePersonality(data);
+    if (errors.length > 0) {
+        throw new Error(`${errors.length} schema error(s)\n  ${errors.join('\n  ')}`);
+    }
     
-    return 'random';
+    return preparePersona(id, data);
 }
 
-function containsKeywords(message) {
-    if (!personality.misc?.keywordsOfInterest) return false;
-    const lower = message.toLowerCase();
-    return personality.misc.keywordsOfInterest.some(kw => 
-        lower.includes(kw.toLowerCase())
-    );
+async function loadPersonality() {
+    try {
+        personality = await readPersonaFile(CONFIG.files.personality, DEFAULT_PERSONA_ID);
+        console.log(`💖 Loaded personality: ${personality.personality.name}`);
+        // Language detection is shared by every persona and comes from personality.json
+        compileLanguages();
+    } catch (error) {
+        console.error(`❌ Invalid personality.json: ${error.message}`);
+        throw new Error('personality.json is required');
+    }
+    
+    await loadPersonas();
+    return true;
 }
 
-function getCustomResponse(intent, userName, lang = 'en') {
-    const intentConfig = personality.responses?.intents?.[intent];
-    if (!intentConfig?.responses) return null;
+// Every personalities/<id>.json is an extra persona with the same layout as personality.json.
+// A file that fails to load keeps its previous version, if there is one. Returns the errors.
+async function loadPersonas() {
+    const previous = personas;
+    const loaded = new Map([[DEFAULT_PERSONA_ID, personality]]);
+    const errors = [];
     
-    const responses = intentConfig.responses[lang] || intentConfig.responses['en'];
-    if (!responses?.length) return null;
+    let files = [];
+    try {
+        files = (await fs.readdir(CONFIG.files.personalities)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('⚠️ Error reading personalities:', error.message);
+    }
     
-    const response = responses[Math.floor(Math.random() * responses.length)];
-    return replacePlaceholders(response, userName);
-}
-
-// ============================================================================
-// AI API CALLS (OPTIMIZED)
-// ============================================================================
-
-async function callGroqAPI(prompt, userName) {
-    for (let attempt = 0; attempt < 2; attempt++) {
-        const keyData = groqManager.getNextAvailable();
-        if (!keyData) throw new Error('No Groq keys available');
+    for (const file of files) {
+        const id = path.basename(file, '.json').toLowerCase();
+        
+        // ":" separates the user and persona in conversation keys
+        if (id === DEFAULT_PERSONA_ID || !/^[a-z0-9_-]+$/.test(id)) {
+            console.warn(`⚠️ Skipping persona file ${file}: invalid id "${id}"`);
+            errors.push(`${file}: invalid id "${id}"`);
+            continue;
+        }
         
         try {
-            const response = await axios.post(
-                'https://api.groq.com/openai/v1/chat/completions',
-                {
-                    model: "llama-3.1-8b-instant",
-                    messages: [
-                        { role: "system", content: buildSystemPrompt(userName) },
-                        { role: "user", content: prompt }
-                    ],
-                    max_tokens: 120,
-                    temperature: 0.85,
-                    stream: false
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${keyData.key}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: CONFIG.timeouts.apiRequest
-                }
-            );
-
-            if (response.data?.choices?.[0]) {
-                groqManager.markSuccess(keyData.index);
-                return response.data.choices[0].message.content;
-            }
-            
-            throw new Error('Invalid response');
-            
+            const persona = await readPersonaFile(path.join(CONFIG.files.personalities, file), id);
+            loaded.set(id, persona);
+            console.log(`🎭 Loaded persona: ${getPersonaName(persona)} (${id})`);
         } catch (error) {
-            groqManager.blockKey(keyData.index, error.response?.status === 429 ? 600000 : 180000);
-            if (attempt === 1) throw error;
-            await new Promise(r => setTimeout(r, 1000));
+            errors.push(`${file}: ${error.message}`);
+            if (previous.has(id)) {
+                loaded.set(id, previous.get(id));
+                console.error(`⚠️ Keeping the previous ${file}: ${error.message}`);
+            } else {
+                console.error(`⚠️ Skipping persona file ${file}: ${error.message}`);
+            }
         }
     }
+    
+    personas = loaded;
+    return errors;
 }
 
-async function callGeminiAPI(prompt, userName) {
-    const keyData = geminiManager.getNextAvailable();
-    if (!keyData) throw new Error('No Gemini keys available');
+let reloadQueue = Promise.resolve();
+
+// Re-reads every persona file. Replies already being written keep the persona they started with.
+// Resolves to the rejected files and errors, it never rejects so later reloads still run
+function reloadPersonalities() {
+    const commandsJson = () => JSON.stringify(slashCommands.map(c => c.build().toJSON()));
     
-    try {
-        const geminiPrompt = `${buildSystemPrompt(userName)}\n\nUser: ${prompt}`;
+    reloadQueue = reloadQueue.catch(() => {}).then(async () => {
+        const errors = [];
         
-        const response = await axios.post(
-            `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${keyData.key}`,
-            {
-                contents: [{ parts: [{ text: geminiPrompt }] }],
-                generationConfig: {
-                    maxOutputTokens: 120,
-                    temperature: 0.85
-                }
-            },
-            {
-                headers: { 'Content-Type': 'application/json' },
-                timeout: CONFIG.timeouts.apiRequest
+        try {
+            // Choices that didn't build last time are registered once they do
+            let before = null;
+            try {
+                before = client.isReady() ? commandsJson() : null;
+            } catch {
+                before = '';
             }
-        );
-
-        if (response.data?.candidates?.[0]) {
-            geminiManager.markSuccess(keyData.index);
-            return response.data.candidates[0].content.parts[0].text;
+            
+            try {
+                personality = await readPersonaFile(CONFIG.files.personality, DEFAULT_PERSONA_ID);
+                compileLanguages();
+            } catch (error) {
+                errors.push(`personality.json: ${error.message}`);
+                console.error(`⚠️ Keeping the previous personality.json: ${error.message}`);
+            }
+            
+            errors.push(...await loadPersonas());
+            
+            // Persona names and languages are part of the slash command choices, a persona name
+            // that isn't a valid choice or a network error leaves the registered commands as they were
+            try {
+                if (before !== null && commandsJson() !== before) await registerSlashCommands();
+            } catch (error) {
+                errors.push(`slash commands: ${error.message}`);
+                console.error(`⚠️ Slash commands not updated: ${error.message}`);
+            }
+        } catch (error) {
+            errors.push(error.message);
+            console.error('Reload error:', error);
         }
         
-        throw new Error('Invalid response');
-        
-    } catch (error) {
-        geminiManager.blockKey(keyData.index, 180000);
-        throw error;
-    }
+        console.log(`🔄 Reloaded ${personas.size} persona(s)${errors.length > 0 ? `, ${errors.length} error(s)` : ''}`);
+        return errors;
+    });
+    
+    return reloadQueue;
 }
 
-async function getChatResponse(userMessage, userName, userId) {
-    try {
-        const context = getConversationContext(userId);
-        const userData = getUserData(userId, userName);
-        
-        const prompt = context 
-            ? `Recent:\n${context}\n\nCurrent: "${userMessage}"`
-            : userMessage;
+let reloadTimeout = null;
 
+// Editors save in several steps (temp file, rename), so bursts of changes trigger one reload
+function watchPersonalities() {
+    if (!CONFIG.reload.watch) return;
+    
+    const targets = [
+        [path.dirname(CONFIG.files.personality), name => name === path.basename(CONFIG.files.personality)],
+        [CONFIG.files.personalities, name => name?.endsWith('.json')]
+    ];
+    
+    for (const [dir, matches] of targets) {
         try {
-            return await callGroqAPI(prompt, userName);
-        } catch {
-            return await callGeminiAPI(prompt, userName);
+            watch(dir, (event, filename) => {
+                if (!matches(filename)) return;
+                clearTimeout(reloadTimeout);
+                reloadTimeout = setTimeout(reloadPersonalities, CONFIG.reload.debounce);
+            }).on('error', error => console.error('Personality watch error:', error.message));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Personality watch error:', error.message);
         }
-        
-    } catch (error) {
-        console.error('API failed:', error.message);
-        const lang = detectLanguage(userMessage);
-        return getCustomResponse('apiFailed', userName, lang) || 
-               "I'm having trouble right now! 💕";
     }
 }
 
-// ============================================================================
-// CONVERSATION MANAGEMENT (MEMORY-OPTIMIZED)
-// ============================================================================
+// Attaches the id and compiled triggers without making them part of the JSON
+function preparePersona(id, data) {
+    Object.defineProperty(data, 'id', { value: id });
+    Object.defineProperty(data, 'compiledIntents', { value: compileIntents(data) });
+    return data;
+}
 
-async function loadConversations() {
-    try {
-        const data = await fs.readFile(CONFIG.files.conversations, 'utf8');
-        const loaded = JSON.parse(data);
-        
-        // Only load recent users
-        const threshold = Date.now() - CONFIG.limits.maxCacheAge;
-        conversations = {};
-        
-        for (const [userId, userData] of Object.entries(loaded)) {
-            const lastMsg = new Date(userData.lastMessage).getTime();
-            if (lastMsg > threshold) {
-                conversations[userId] = userData;
-            }
-        }
-        
-        console.log(`💾 Loaded ${Object.keys(conversations).length} active users`);
-        await cleanupOldConversations();
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            conversations = {};
-            await saveConversations();
-        } else {
-            console.error('Load error:', error);
-            conversations = {};
-        }
-    }
+function getPersona(id) {
+    return personas.get(id) || personality;
 }
 
-async function saveConversations() {
-    try {
-        // Save only essential data
-        const toSave = {};
-        for (const [userId, data] of Object.entries(conversations)) {
-            toSave[userId] = {
-                userId: data.userId,
-                userName: data.userName,
-                firstMessage: data.firstMessage,
-                lastMessage: data.lastMessage,
-                messageCount: data.messageCount,
-                conversationHistory: data.conversationHistory.slice(-CONFIG.limits.conversationHistory),
-                userStats: data.userStats
-            };
-        }
-        
-        await fs.writeFile(CONFIG.files.conversations, JSON.stringify(toSave, null, 0));
-        console.log(`💾 Saved ${Object.keys(toSave).length} users`);
-    } catch (error) {
-        console.error('Save error:', error);
-    }
+function getPersonaName(persona = personality) {
+    return persona.personality.name;
 }
 
-function debouncedSave() {
-    clearTimeout(saveTimeout);
-    saveTimeout = setTimeout(saveConversations, CONFIG.timeouts.saveDebounce);
+function replacePlaceholders(text, userName = 'friend', persona = personality) {
+    if (!text || typeof text !== 'string') return text;
+    return text
+        .replace(/{ai}/gi, getPersonaName(persona))
+        .replace(/{user}/gi, userName);
 }
 
-function getUserData(userId, userName) {
-    if (!conversations[userId]) {
-        conversations[userId] = {
-            userId,
-            userName,
-            firstMessage: new Date().toISOString(),
-            lastMessage: new Date().toISOString(),
-            messageCount: 0,
-            conversationHistory: [],
-            userStats: {
-                totalMessages: 0,
-                imagesGenerated: 0,
-                relationshipLevel: 1,
-                favoriteIntents: {},
-                specialMoments: []
+// Facts and summaries from DMs are only used in DMs
+function buildSystemPrompt(userName, userData = null, { inDm = false } = {}) {
+    const persona = getPersona(userData?.persona);
+    if (!persona) return "You are a helpful AI assistant.";
+    
+    const p = persona.personality;
+    let prompt = `You are ${p.name}. ${p.description}\n\n`;
+    
+    if (p.responseStyle) {
+        prompt += `STYLE: ${replacePlaceholders(p.responseStyle, userName, persona)}\n\n`;
+    }
+    
+    if (p.likes?.length > 0) {
+        prompt += `LOVES: ${p.likes.slice(0, 5).join(', ')}\n`;
+    }
+    
+    if (p.conversationGoals?.length > 0) {
+        prompt += `GOALS: ${p.conversationGoals[0]}\n`;
+    }
+    
+    // The highest level reached with a "prompt" sets the tone, so it grows with the relationship
+    if (userData?.userStats) {
+        const reached = getProgression(persona).levels.slice(0, userData.userStats.relationshipLevel);
+        const current = reached[reached.length - 1];
+        const tone = reached.map(level => level.prompt).filter(Boolean).pop();
+        
+        prompt += `\nRELATIONSHIP WITH ${userName}: ${current?.name || 'new'} (level ${userData.userStats.relationshipLevel})\n`;
+        if (tone) prompt += `${replacePlaceholders(tone, userName, persona)}\n`;
+    }
+    
+    const facts = (userData?.facts || []).filter(f => inDm || !f.private).slice(-CONFIG.memory.promptFacts);
+    if (facts.length > 0) {
+        prompt += `\nWHAT YOU REMEMBER ABOUT ${userName}:\n${facts.map(f => `- ${f.text}`).join('\n')}\n`;
+    }
+    
+    if (userData?.summary?.text) {
+        prompt += `\nYOUR STORY SO FAR:\n${userData.summary.text}\n`;
+    }
+    
+    if (inDm && userData?.privateSummary?.text) {
+        prompt += `\nYOUR PRIVATE CHATS SO FAR:\n${userData.privateSummary.text}\n`;
+    } else if (!inDm && hasPrivateHistory(userData)) {
+        prompt += `\nYou also talk with ${userName} in private DMs. This is a public channel: never mention or quote anything from those private chats.\n`;
+    }
+    
+    prompt += `\nIMPORTANT: Detect user's language and reply in SAME language. Keep responses under 150 words.`;
+    
+    return prompt;
+}
+
+// ============================================================================
+// LANGUAGE & INTENT DETECTION (OPTIMIZED)
+// ============================================================================
+
+function normalizeText(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenize(text) {
+    return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function compileLanguages() {
+    const config = personality?.responses?.languageDetection || {};
+    const compiled = [];
+    
+    for (const [code, lang] of Object.entries(config)) {
+        const entry = {
+            code,
+            keywords: (lang.keywords || []).map(kw => tokenize(kw).join(' ')).filter(Boolean),
+            rawKeywords: (lang.keywords || []).map(kw => normalizeText(kw.trim())).filter(Boolean),
+            wordBoundaries: lang.wordBoundaries !== false,
+            characters: null,
+            script: null,
+            weight: lang.weight ?? 1
+        };
+        
+        try {
+            if (lang.characters) entry.characters = new RegExp(lang.characters, 'gu');
+            if (lang.scripts?.length) {
+                entry.script = new RegExp(lang.scripts.map(name => `\\p{Script=${name}}`).join('|'), 'gu');
+            }
+        } catch (error) {
+            console.error(`⚠️ Invalid language heuristics for "${code}": ${error.message}`);
+        }
+        
+        compiled.push(entry);
+    }
+    
+    compiledLanguages = compiled;
+    console.log(`🌍 Loaded ${compiled.length} languages: ${compiled.map(l => l.code).join(', ')}`);
+}
+
+function scoreLanguages(text) {
+    const lower = text.toLowerCase();
+    const normalized = normalizeText(text);
+    const words = ` ${tokenize(text).join(' ')} `;
+    const letterCount = (lower.match(/\p{L}/gu) || []).length || 1;
+    const scores = {};
+    
+    for (const lang of compiledLanguages) {
+        let score = 0;
+        
+        if (lang.wordBoundaries) {
+            score += lang.keywords.filter(kw => words.includes(` ${kw} `)).length;
+        } else {
+            score += lang.rawKeywords.filter(kw => normalized.includes(kw)).length;
+        }
+        
+        if (lang.characters) {
+            score += (lower.match(lang.characters)?.length || 0) * CONFIG.language.characterWeight;
+        }
+        
+        // Share of letters written in the language's script (kana, cyrillic, ...)
+        if (lang.script) {
+            score += ((lower.match(lang.script)?.length || 0) / letterCount) * CONFIG.language.scriptWeight;
+        }
+        
+        if (score > 0) scores[lang.code] = score * lang.weight;
+    }
+    
+    return scores;
+}
+
+function detectLanguage(text) {
+    const fallback = { lang: CONFIG.language.default, confidence: 0 };
+    if (!text) return fallback;
+    
+    const ranked = Object.entries(scoreLanguages(text)).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) return fallback;
+    
+    const [lang, best] = ranked[0];
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    
+    // Share of the total score, damped when the message carries little evidence
+    const confidence = (best / total) * Math.min(1, best / CONFIG.language.evidenceTarget);
+    
+    return { lang, confidence: Math.round(confidence * 100) / 100 };
+}
+
+function resolveLanguage(userId, userName, text) {
+    const detected = detectLanguage(text);
+    const userData = getUserData(userId, userName);
+    
+    // A language picked with /language always wins over detection
+    if (userData.languageLocked && userData.preferredLanguage) return userData.preferredLanguage;
+    
+    if (detected.confidence >= CONFIG.language.minConfidence) {
+        if (userData.preferredLanguage !== detected.lang) {
+            userData.preferredLanguage = detected.lang;
+            debouncedSave();
+        }
+        return detected.lang;
+    }
+    
+    // Short or ambiguous messages keep the user's usual language
+    if (userData.preferredLanguage) return userData.preferredLanguage;
+    return detected.confidence > 0 ? detected.lang : CONFIG.language.default;
+}
+
+function getUserLanguage(userId, locale) {
+    const preferred = findUser(userId)?.preferredLanguage;
+    if (preferred) return preferred;
+    
+    // Fall back to the Discord client locale ("fr", "es-ES", ...) when we know it
+    const localeLang = locale?.split('-')[0];
+    if (localeLang && compiledLanguages.some(l => l.code === localeLang)) return localeLang;
+    
+    return CONFIG.language.default;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Triggers are either plain phrases ("good night") or objects:
+// { "phrase": "...", "weight": 2 } or { "regex": "...", "flags": "iu", "weight": 1 }
+function compileTrigger(trigger, lang, defaultWeight) {
+    const spec = typeof trigger === 'string' ? { phrase: trigger } : trigger;
+    if (!spec || (!spec.phrase && !spec.regex)) return null;
+    
+    try {
+        let regex;
+        if (spec.regex) {
+            // Strip the global/sticky flags so .test() stays stateless
+            regex = new RegExp(spec.regex, (spec.flags ?? 'iu').replace(/[gy]/g, ''));
+        } else {
+            const phrase = escapeRegex(normalizeText(spec.phrase.trim())).replace(/\s+/g, '\\s+');
+            regex = new RegExp(`(?<![\\p{L}\\p{N}])${phrase}(?![\\p{L}\\p{N}])`, 'u');
+        }
+        
+        return {
+            regex,
+            isRaw: Boolean(spec.regex),
+            lang: spec.lang || lang,
+            weight: spec.weight ?? defaultWeight
+        };
+    } catch (error) {
+        console.error(`⚠️ Invalid trigger ${JSON.stringify(trigger)}: ${error.message}`);
+        return null;
+    }
+}
+
+function compileIntents(persona) {
+    const intents = persona?.responses?.intents || {};
+    const compiled = [];
+    
+    for (const [name, config] of Object.entries(intents)) {
+        if (!config?.triggers) continue;
+        
+        // "triggers" may be a flat list (any language) or keyed by language code
+        const groups = Array.isArray(config.triggers) ? { '*': config.triggers } : config.triggers;
+        const patterns = [];
+        
+        for (const [lang, list] of Object.entries(groups)) {
+            for (const trigger of [].concat(list)) {
+                const pattern = compileTrigger(trigger, lang, config.weight ?? 1);
+                if (pattern) patterns.push(pattern);
+            }
+        }
+        
+        if (patterns.length > 0) {
+            compiled.push({
+                name,
+                priority: config.priority ?? 0,
+                minScore: config.minScore ?? 1,
+                // Relationship level needed before the intent can fire
+                minLevel: config.minLevel ?? 1,
+                patterns
+            });
+        }
+    }
+    
+    const total = compiled.reduce((sum, intent) => sum + intent.patterns.length, 0);
+    console.log(`🎯 Compiled ${total} triggers for ${compiled.length} intents`);
+    return compiled;
+}
+
+function scoreIntent(intent, message, normalized, lang) {
+    let score = 0;
+    
+    for (const pattern of intent.patterns) {
+        if (lang && pattern.lang !== '*' && pattern.lang !== lang) continue;
+        const matched = pattern.isRaw ? pattern.regex.test(message) : pattern.regex.test(normalized);
+        if (matched) score += pattern.weight;
+    }
+    
+    return score;
+}
+
+// Intents with a minLevel above the user's relationship level are skipped
+function detectIntent(message, lang = 'en', persona = personality, level = 1) {
+    const compiledIntents = persona?.compiledIntents || [];
+    if (!message || compiledIntents.length === 0) return 'random';
+    
+    const normalized = normalizeText(message);
+    
+    // Match the detected language first, then fall back to every language's triggers
+    for (const scope of [lang, null]) {
+        let best = null;
+        
+        for (const intent of compiledIntents) {
+            if (intent.minLevel > level) continue;
+            
+            const score = scoreIntent(intent, message, normalized, scope);
+            if (score < intent.minScore) continue;
+            
+            if (!best || intent.priority > best.priority ||
+                (intent.priority === best.priority && score > best.score)) {
+                best = { name: intent.name, priority: intent.priority, score };
+            }
+        }
+        
+        if (best) return best.name;
+    }
+    
+    return 'random';
+}
+
+function containsKeywords(message, persona = personality) {
+    if (!persona.misc?.keywordsOfInterest) return false;
+    const lower = message.toLowerCase();
+    return persona.misc.keywordsOfInterest.some(kw => 
+        lower.includes(kw.toLowerCase())
+    );
+}
+
+// Responses may be plain strings or { text, minLevel } objects unlocked at a relationship level
+function getCustomResponse(intent, userName, lang = 'en', persona = personality, level = 1) {
+    const intentConfig = persona.responses?.intents?.[intent];
+    if (!intentConfig?.responses) return null;
+    
+    const unlocked = list => (list || []).filter(response => (response?.minLevel ?? 1) <= level);
+    const responses = unlocked(intentConfig.responses[lang]).length > 0
+        ? unlocked(intentConfig.responses[lang])
+        : unlocked(intentConfig.responses['en']);
+    if (!responses.length) return null;
+    
+    const response = responses[Math.floor(Math.random() * responses.length)];
+    return replacePlaceholders(response.text ?? response, userName, persona);
+}
+
+// ============================================================================
+// AI API CALLS (OPTIMIZED)
+// ============================================================================
+
+// A failed streamed request carries its error body as a stream too. It is read and parsed here,
+// within the idle timeout, so markFailure can find the provider's retry hints in it
+async function readErrorStream(error, idleTimeout) {
+    const stream = error.response?.data;
+    if (typeof stream?.pipe !== 'function') return error;
+    
+    let text = '';
+    const timer = setTimeout(() => stream.destroy(), idleTimeout);
+    try {
+        stream.setEncoding('utf8');
+        for await (const chunk of stream) text += chunk;
+    } catch {
+        // A body cut off by the timeout is kept as far as it got
+    } finally {
+        clearTimeout(timer);
+    }
+    
+    try {
+        error.response.data = JSON.parse(text);
+    } catch {
+        error.response.data = text;
+    }
+    return error;
+}
+
+// Parses a text/event-stream body, calling onData for every JSON "data:" line
+function readServerSentEvents(stream, idleTimeout, onData) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        let idleTimer = null;
+        
+        const resetIdle = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => stream.destroy(new Error('Stream idle timeout')), idleTimeout);
+        };
+        const done = (error) => {
+            clearTimeout(idleTimer);
+            if (error) reject(error); else resolve();
+        };
+        
+        stream.setEncoding('utf8');
+        resetIdle();
+        
+        stream.on('data', chunk => {
+            resetIdle();
+            buffer += chunk;
+            
+            let index;
+            while ((index = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, index).trim();
+                buffer = buffer.slice(index + 1);
+                if (!line.startsWith('data:')) continue;
+                
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') {
+                    stream.destroy();
+                    return done();
+                }
+                
+                try {
+                    onData(JSON.parse(data));
+                } catch (error) {
+                    console.error('Stream parse error:', error.message);
+                }
             }
+        });
+        stream.on('end', () => done());
+        stream.on('close', () => done());
+        stream.on('error', done);
+    });
+}
+
+function buildOpenAIRequest(provider, apiKey, messages, stream) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (provider.requiresKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    
+    return [
+        `${provider.baseUrl}/chat/completions`,
+        {
+            model: provider.model,
+            messages: toOpenAIMessages(messages),
+            max_tokens: provider.maxTokens,
+            temperature: provider.temperature,
+            stream,
+            ...(provider.functions?.length > 0 && {
+                tools: provider.functions.map(definition => ({ type: 'function', function: definition })),
+                tool_choice: provider.toolChoice || 'auto'
+            })
+        },
+        {
+            headers,
+            timeout: provider.timeout || CONFIG.timeouts.apiRequest,
+            ...(stream && { responseType: 'stream' })
+        }
+    ];
+}
+
+function buildGeminiRequest(provider, apiKey, messages, stream) {
+    const { systemInstruction, contents } = toGeminiContents(messages);
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    
+    return [
+        `${provider.baseUrl}/models/${provider.model}:${method}key=${apiKey}`,
+        {
+            systemInstruction,
+            contents,
+            generationConfig: {
+                maxOutputTokens: provider.maxTokens,
+                temperature: provider.temperature
+            },
+            ...(provider.functions?.length > 0 && {
+                tools: [{ functionDeclarations: provider.functions }],
+                toolConfig: { functionCallingConfig: { mode: (provider.toolChoice || 'auto').toUpperCase() } }
+            })
+        },
+        {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: provider.timeout || CONFIG.timeouts.apiRequest,
+            ...(stream && { responseType: 'stream' })
+        }
+    ];
+}
+
+// Adapters resolve to { content, toolCalls, tokens, headers }; tokens is null when the API doesn't report usage,
+// toolCalls are { id, name, arguments } requested by the model
+
+// Arguments arrive as JSON text; broken JSON becomes {} and the tool reports what is missing
+function parseToolArguments(text) {
+    try {
+        const value = typeof text === 'string' ? JSON.parse(text || '{}') : text;
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    } catch {
+        return {};
+    }
+}
+
+function parseOpenAIToolCalls(toolCalls = []) {
+    return toolCalls
+        .filter(call => call?.function?.name)
+        .map((call, i) => ({
+            id: call.id || `call_${i}`,
+            name: call.function.name,
+            arguments: parseToolArguments(call.function.arguments)
+        }));
+}
+
+// Gemini doesn't name its calls, the index keeps them apart
+function parseGeminiParts(parts = []) {
+    return {
+        text: parts.map(part => part.text || '').join(''),
+        toolCalls: parts
+            .filter(part => part.functionCall?.name)
+            .map((part, i) => ({
+                id: `call_${i}`,
+                name: part.functionCall.name,
+                arguments: parseToolArguments(part.functionCall.args)
+            }))
+    };
+}
+
+async function callOpenAICompatibleAPI(provider, apiKey, messages) {
+    const response = await axios.post(...buildOpenAIRequest(provider, apiKey, messages, false));
+    
+    const message = response.data?.choices?.[0]?.message;
+    const toolCalls = parseOpenAIToolCalls(message?.tool_calls);
+    if (!message?.content && toolCalls.length === 0) throw new Error('Invalid response');
+    return { content: message.content || '', toolCalls, tokens: response.data.usage?.total_tokens ?? null, headers: response.headers };
+}
+
+async function streamOpenAICompatibleAPI(provider, apiKey, messages, onProgress) {
+    const response = await axios.post(...buildOpenAIRequest(provider, apiKey, messages, true))
+        .catch(async error => { throw await readErrorStream(error, provider.timeout || CONFIG.timeouts.apiRequest); });
+    let content = '';
+    let tokens = null;
+    // Tool calls stream in pieces, keyed by their index
+    const calls = [];
+    
+    await readServerSentEvents(response.data, provider.timeout || CONFIG.timeouts.apiRequest, event => {
+        // Groq reports usage in the last chunk under x_groq
+        const usage = event.usage || event.x_groq?.usage;
+        if (usage?.total_tokens) tokens = usage.total_tokens;
+        
+        const delta = event.choices?.[0]?.delta;
+        for (const part of delta?.tool_calls || []) {
+            const call = calls[part.index ?? calls.length] ??= { id: null, function: { name: '', arguments: '' } };
+            call.id ||= part.id;
+            call.function.name += part.function?.name || '';
+            call.function.arguments += part.function?.arguments || '';
+        }
+        
+        if (!delta?.content) return;
+        content += delta.content;
+        onProgress(content);
+    });
+    
+    const toolCalls = parseOpenAIToolCalls(calls.filter(Boolean));
+    if (!content && toolCalls.length === 0) throw new Error('Empty response');
+    return { content, toolCalls, tokens, headers: response.headers };
+}
+
+async function callGeminiAPI(provider, apiKey, messages) {
+    const response = await axios.post(...buildGeminiRequest(provider, apiKey, messages, false));
+    
+    const { text, toolCalls } = parseGeminiParts(response.data?.candidates?.[0]?.content?.parts);
+    if (!text && toolCalls.length === 0) throw new Error('Invalid response');
+    return { content: text, toolCalls, tokens: response.data.usageMetadata?.totalTokenCount ?? null, headers: response.headers };
+}
+
+async function streamGeminiAPI(provider, apiKey, messages, onProgress) {
+    const response = await axios.post(...buildGeminiRequest(provider, apiKey, messages, true))
+        .catch(async error => { throw await readErrorStream(error, provider.timeout || CONFIG.timeouts.apiRequest); });
+    let content = '';
+    let tokens = null;
+    const toolCalls = [];
+    
+    await readServerSentEvents(response.data, provider.timeout || CONFIG.timeouts.apiRequest, event => {
+        if (event.usageMetadata?.totalTokenCount) tokens = event.usageMetadata.totalTokenCount;
+        
+        // Function calls arrive whole, never split across chunks
+        const { text, toolCalls: calls } = parseGeminiParts(event.candidates?.[0]?.content?.parts);
+        toolCalls.push(...calls.map(call => ({ ...call, id: `call_${toolCalls.length}` })));
+        
+        if (!text) return;
+        content += text;
+        onProgress(content);
+    });
+    
+    if (!content && toolCalls.length === 0) throw new Error('Empty response');
+    return { content, toolCalls, tokens, headers: response.headers };
+}
+
+const providerAdapters = {
+    openai: { complete: callOpenAICompatibleAPI, stream: streamOpenAICompatibleAPI },
+    gemini: { complete: callGeminiAPI, stream: streamGeminiAPI }
+};
+
+// onProgress receives the full text generated so far, so a fallback provider
+// simply starts the reply over instead of appending to a failed one
+// options: { onProgress, maxTokens, temperature, functions, toolChoice } - overrides apply to this call only.
+// Resolves to the text, or to { content, toolCalls } when functions are offered
+async function callProvider(provider, messages, options = {}) {
+    const { onProgress = null, ...overrides } = options;
+    const adapter = providerAdapters[provider.type];
+    const settings = { ...provider, ...overrides };
+    const useStream = Boolean(onProgress) && provider.stream;
+    
+    for (let attempt = 0; attempt < provider.retries; attempt++) {
+        const keyData = provider.keyManager.getNextAvailable();
+        if (!keyData) throw new Error(`No ${provider.label} keys available`);
+        
+        try {
+            const result = useStream
+                ? await adapter.stream(settings, keyData.key, messages, onProgress)
+                : await adapter.complete(settings, keyData.key, messages);
+            
+            // Estimate usage for servers that don't report it
+            const tokens = result.tokens ?? messages.reduce(
+                (sum, m) => sum + estimateTokens(m.content) + (m.images?.length || 0) * CONFIG.attachments.imageTokens,
+                estimateTokens(result.content)
+            );
+            provider.keyManager.markSuccess(keyData.index, { tokens, headers: result.headers });
+            debouncedQuotaSave();
+            return settings.functions ? { content: result.content, toolCalls: result.toolCalls } : result.content;
+        } catch (error) {
+            const retryDelay = provider.keyManager.markFailure(keyData.index, error, provider);
+            debouncedQuotaSave();
+            // With every key blocked there is nothing left to retry, the next provider takes over
+            if (attempt === provider.retries - 1 || !provider.keyManager.getNextAvailable()) throw error;
+            await new Promise(r => setTimeout(r, Math.min(retryDelay ?? 1000, CONFIG.timeouts.maxRetryDelay)));
+        }
+    }
+}
+
+// Images travel as { mimeType, data } on a message and become content parts for vision models
+// Tool calls travel as { role: 'assistant', toolCalls } followed by one { role: 'tool', toolCallId, name, content } each
+function toOpenAIMessages(messages) {
+    return messages.map(m => {
+        if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+        if (m.toolCalls?.length) {
+            return {
+                role: 'assistant',
+                content: m.content || null,
+                tool_calls: m.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                }))
+            };
+        }
+        if (!m.images?.length) return { role: m.role, content: m.content };
+        
+        return {
+            role: m.role,
+            content: [
+                ...(m.content ? [{ type: 'text', text: m.content }] : []),
+                ...m.images.map(image => ({
+                    type: 'image_url',
+                    image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+                }))
+            ]
         };
+    });
+}
+
+// Gemini takes the system prompt separately and calls the assistant "model".
+// Results of the same round share one turn, matching the calls that asked for them
+function toGeminiContents(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const contents = [];
+    
+    for (const m of messages.filter(m => m.role !== 'system')) {
+        if (m.role === 'tool') {
+            const part = { functionResponse: { name: m.name, response: parseToolArguments(m.content) } };
+            const previous = contents[contents.length - 1];
+            if (previous?.parts[0]?.functionResponse) previous.parts.push(part);
+            else contents.push({ role: 'user', parts: [part] });
+            continue;
+        }
+        
+        contents.push({
+            role: m.role === 'assistant' ? 'model' : 'user',
+            parts: [
+                ...(m.content || !(m.images?.length || m.toolCalls?.length) ? [{ text: m.content }] : []),
+                ...(m.images || []).map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+                ...(m.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+            ]
+        });
+    }
+    
+    return {
+        systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+        contents
+    };
+}
+
+function supportsVision(provider) {
+    return provider.vision || Boolean(provider.visionModel);
+}
+
+// Stands in for the images when falling back to a provider that can't see them
+function withoutImages(messages) {
+    return messages.map(m => m.images?.length
+        ? { role: m.role, content: `${m.content}\n(${m.images.length} image(s) attached that you can't see)`.trim() }
+        : m);
+}
+
+// Stands in for earlier tool calls when falling back to a provider without function calling
+function withoutToolCalls(messages) {
+    return messages.map(m => {
+        if (m.role === 'tool') return { role: 'user', content: `(${m.name} returned ${m.content})` };
+        if (!m.toolCalls?.length) return m;
+        
+        const calls = m.toolCalls.map(call => `(calling ${call.name} ${JSON.stringify(call.arguments)})`);
+        return { role: 'assistant', content: [m.content, ...calls].filter(Boolean).join('\n') };
+    });
+}
+
+// Tries providers in their configured priority order. Messages with images go to
+// vision providers first; visionOnly skips the others instead of falling back.
+// With functions it resolves to { content, toolCalls }, providers without tools just never call any
+async function completeWithProviders(messages, options = {}) {
+    const { visionOnly = false, functions = null, ...callOptions } = options;
+    const hasImages = messages.some(m => m.images?.length > 0);
+    const candidates = hasImages
+        ? [...providers.filter(supportsVision), ...(visionOnly ? [] : providers.filter(p => !supportsVision(p)))]
+        : providers;
+    let lastError = null;
+    
+    for (const provider of candidates) {
+        const vision = hasImages && supportsVision(provider);
+        const tools = Boolean(functions) && provider.tools;
+        let sent = hasImages && !vision ? withoutImages(messages) : messages;
+        if (!provider.tools) sent = withoutToolCalls(sent);
+        
+        try {
+            const result = await callProvider(provider, sent, {
+                ...callOptions,
+                ...(vision && provider.visionModel && { model: provider.visionModel }),
+                ...(tools && { functions })
+            });
+            return functions && !tools ? { content: result, toolCalls: [] } : result;
+        } catch (error) {
+            lastError = error;
+            console.error(`${provider.label} failed:`, error.message);
+        }
+    }
+    
+    throw lastError || new Error(hasImages && visionOnly ? 'No vision providers configured' : 'No AI providers configured');
+}
+
+// options: { onProgress, instructions, images, inDm, thread, tools } - tools is the context tools
+// run in ({ channel, userId, userName, persona, lang, scope, calls }), without it none are offered.
+// The calls made are pushed to its "calls" array for the caller to record with recordToolCalls()
+async function getChatResponse(userMessage, userName, key, options = {}) {
+    const { onProgress = null, tools = null, ...context } = options;
+    
+    try {
+        if (!tools || !CONFIG.tools.enabled) {
+            return await completeWithProviders(buildChatMessages(key, userName, userMessage, context), { onProgress });
+        }
+        
+        const instructions = [...(context.instructions || []), TOOL_INSTRUCTION];
+        const messages = buildChatMessages(key, userName, userMessage, { ...context, instructions });
+        return await completeWithTools(messages, { key, ...tools }, onProgress);
+    } catch (error) {
+        console.error('API failed:', error.message);
+        const userData = findUser(key);
+        const lang = resolveLanguage(userData?.userId || key, userName, userMessage);
+        return getCustomResponse('apiFailed', userName, lang, getPersona(userData?.persona)) || 
+               "I'm having trouble right now! 💕";
+    }
+}
+
+// ============================================================================
+// STORAGE BACKENDS
+// ============================================================================
+
+// Bumped whenever the stored layout changes in a way older code can't read
+const STORAGE_SCHEMA_VERSION = 1;
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Write to a temp file, fsync it, then rename over the target so a crash
+// mid-write leaves either the old file or the new one, never half of each
+async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    
+    await fs.rename(tempPath, filePath);
+}
+
+function timestampSuffix() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Newest first - the ISO timestamp in the name sorts chronologically
+async function listBackups(filePath) {
+    const base = path.basename(filePath);
+    
+    try {
+        const files = await fs.readdir(CONFIG.files.backups);
+        return files
+            .filter(file => file.startsWith(`${base}.`) && file.endsWith('.bak'))
+            .sort()
+            .reverse()
+            .map(file => path.join(CONFIG.files.backups, file));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function rotateBackups(filePath, createSnapshot) {
+    await fs.mkdir(CONFIG.files.backups, { recursive: true });
+    await createSnapshot(path.join(CONFIG.files.backups, `${path.basename(filePath)}.${timestampSuffix()}.bak`));
+    
+    const backups = await listBackups(filePath);
+    for (const old of backups.slice(CONFIG.storage.backupCount)) {
+        await fs.unlink(old).catch(() => {});
+    }
+}
+
+// Moves a damaged file aside so it is never overwritten by the next save
+async function quarantineFile(filePath) {
+    const target = `${filePath}.corrupt-${timestampSuffix()}`;
+    
+    try {
+        await fs.rename(filePath, target);
+        console.error(`🚨 Moved damaged file to ${path.basename(target)}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+// Damaged files moved aside by quarantineFile()
+async function listQuarantined(filePath) {
+    const prefix = `${path.basename(filePath)}.corrupt-`;
+    
+    try {
+        const files = await fs.readdir(path.dirname(filePath));
+        return files.filter(file => file.startsWith(prefix)).map(file => path.join(path.dirname(filePath), file));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+function isUserRecordKey(key, userId) {
+    return key === userId || key.startsWith(`${userId}:`);
+}
+
+// Rewrites a JSON snapshot without the user's records, throws if it can't be read
+async function scrubSnapshotFile(filePath, userId) {
+    const records = decodeSnapshot(await fs.readFile(filePath, 'utf8'));
+    const keys = Object.keys(records).filter(key => isUserRecordKey(key, userId));
+    if (keys.length === 0) return;
+    
+    keys.forEach(key => delete records[key]);
+    await writeFileAtomic(filePath, encodeSnapshot(records));
+}
+
+function scrubDatabaseFile(filePath, userId) {
+    const Database = require('better-sqlite3');
+    const db = new Database(filePath, { fileMustExist: true });
+    
+    try {
+        db.transaction(() => {
+            db.prepare('DELETE FROM history WHERE user_id = ? OR user_id LIKE ?').run(userId, `${userId}:%`);
+            db.prepare('DELETE FROM users WHERE user_id = ? OR user_id LIKE ?').run(userId, `${userId}:%`);
+        })();
+        // Deleted rows stay readable in free pages until the file is rebuilt
+        db.exec('VACUUM');
+    } finally {
+        db.close();
+    }
+}
+
+// Removes a user from every backup, so restoring one can't bring them back. Files that can't be
+// edited (damaged ones, a database backup without better-sqlite3) are deleted if they mention the user
+async function scrubUserFromBackups(userId) {
+    const targets = [
+        ...(await listBackups(CONFIG.files.conversations)).map(file => [file, scrubSnapshotFile]),
+        ...(await listBackups(CONFIG.files.database)).map(file => [file, scrubDatabaseFile])
+    ];
+    // conversations.json stays behind after a migration, and would be imported again into an empty database
+    if (storage?.name !== 'json') targets.push([CONFIG.files.conversations, scrubSnapshotFile]);
+    
+    const damaged = [...await listQuarantined(CONFIG.files.conversations), ...await listQuarantined(CONFIG.files.database)];
+    
+    for (const [file, scrub] of targets) {
+        try {
+            await scrub(file, userId);
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            console.error(`⚠️ Can't edit ${path.basename(file)}: ${error.message}`);
+            damaged.push(file);
+        }
+    }
+    
+    for (const file of damaged) {
+        try {
+            if (!(await fs.readFile(file)).includes(userId)) continue;
+            await fs.unlink(file);
+            console.log(`🗑️ Deleted ${path.basename(file)}, it held data of a deleted user`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+function encodeSnapshot(records) {
+    const users = JSON.stringify(records);
+    return `{"schemaVersion":${STORAGE_SCHEMA_VERSION},"savedAt":"${new Date().toISOString()}",` +
+        `"checksum":"${sha256(users)}","users":${users}}`;
+}
+
+function decodeSnapshot(text) {
+    const parsed = JSON.parse(text);
+    
+    // Files written before schema versioning are a bare { userId: record } map
+    if (parsed.schemaVersion === undefined) return parsed;
+    
+    if (parsed.schemaVersion > STORAGE_SCHEMA_VERSION) {
+        throw new Error(`schema version ${parsed.schemaVersion} is newer than supported (${STORAGE_SCHEMA_VERSION})`);
+    }
+    if (!parsed.users || typeof parsed.users !== 'object') {
+        throw new Error('missing users');
+    }
+    if (parsed.checksum && sha256(JSON.stringify(parsed.users)) !== parsed.checksum) {
+        throw new Error('checksum mismatch');
+    }
+    
+    return parsed.users;
+}
+
+// Only these fields are persisted, anything else on a user record is runtime state
+function serializeUser(data) {
+    return {
+        userId: data.userId,
+        persona: data.persona || DEFAULT_PERSONA_ID,
+        activePersona: data.activePersona || null,
+        userName: data.userName,
+        firstMessage: data.firstMessage,
+        lastMessage: data.lastMessage,
+        messageCount: data.messageCount,
+        preferredLanguage: data.preferredLanguage || null,
+        languageLocked: data.languageLocked || false,
+        conversationHistory: data.conversationHistory.slice(-CONFIG.limits.conversationHistory),
+        summary: data.summary || null,
+        privateSummary: data.privateSummary || null,
+        unsummarized: data.unsummarized || [],
+        userStats: data.userStats,
+        facts: data.facts || [],
+        memoryCursor: data.memoryCursor || null,
+        privacyOptOut: data.privacyOptOut || false
+    };
+}
+
+// Storage interface shared by every backend:
+//   init()                  open / create the store
+//   loadUser(key)           one user record or null (sync, used for lazy loading)
+//   loadRecentUsers(since)  records active after the given timestamp
+//   saveUsers(records)      stage records for the next flush
+//   deleteUser(key)         remove a user record and its history
+//   listUserKeys(userId)    keys of every record of a user, one per persona
+//   listUsersWithHistoryBefore(before)  keys of records holding history older than a date
+//   countUsers()            number of stored users
+//   flush() / close()       persist staged writes
+// Every stored user stays in this.records for the whole process, evicted ones included
+class JSONStorage {
+    constructor(filePath) {
+        this.name = 'json';
+        this.filePath = filePath;
+        this.records = {};
+        this.dirty = false;
+        this.lastBackup = 0;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async init() {
+        try {
+            this.records = decodeSnapshot(await fs.readFile(this.filePath, 'utf8'));
+            return;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.records = {};
+                this.dirty = true;
+                return;
+            }
+            console.error(`⚠️ ${path.basename(this.filePath)} is unreadable: ${error.message}`);
+        }
+        
+        await quarantineFile(this.filePath);
+        
+        for (const backup of await listBackups(this.filePath)) {
+            try {
+                this.records = decodeSnapshot(await fs.readFile(backup, 'utf8'));
+                this.dirty = true;
+                console.log(`♻️ Restored ${Object.keys(this.records).length} users from ${path.basename(backup)}`);
+                return;
+            } catch (error) {
+                console.error(`⚠️ Backup ${path.basename(backup)} is unreadable: ${error.message}`);
+            }
+        }
+        
+        console.error('🚨 No valid backup found, starting with empty conversations');
+        this.records = {};
+        this.dirty = true;
+    }
+
+    loadUser(userId) {
+        const record = this.records[userId];
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+
+    loadRecentUsers(since) {
+        return Object.values(this.records)
+            .filter(record => new Date(record.lastMessage).getTime() > since)
+            .map(record => JSON.parse(JSON.stringify(record)));
+    }
+
+    saveUsers(records) {
+        for (const record of records) {
+            this.records[recordKey(record)] = serializeUser(record);
+        }
+        this.dirty = true;
+    }
+
+    deleteUser(userId) {
+        delete this.records[userId];
+        this.dirty = true;
+    }
+
+    listUserKeys(userId) {
+        return Object.keys(this.records).filter(key => isUserRecordKey(key, userId));
+    }
+
+    listUsersWithHistoryBefore(before) {
+        return Object.entries(this.records)
+            .filter(([, record]) => record.conversationHistory?.some(e => new Date(e.timestamp) < before))
+            .map(([key]) => key);
+    }
+
+    countUsers() {
+        return Object.keys(this.records).length;
+    }
+
+    // Writes are chained so an autosave and a debounced save never share the temp file
+    flush() {
+        const write = this.writeQueue.then(() => this.writeSnapshot());
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    async writeSnapshot() {
+        if (!this.dirty) return;
+        this.dirty = false;
+        
+        try {
+            await this.backupIfDue();
+            await writeFileAtomic(this.filePath, encodeSnapshot(this.records));
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+
+    async backupIfDue() {
+        if (Date.now() - this.lastBackup < CONFIG.storage.backupInterval) return;
+        this.lastBackup = Date.now();
+        
+        try {
+            await rotateBackups(this.filePath, target => fs.copyFile(this.filePath, target));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Backup error:', error.message);
+        }
+    }
+
+    async close() {
+        await this.flush();
+    }
+}
+
+class SQLiteStorage {
+    constructor(filePath) {
+        this.name = 'sqlite';
+        this.filePath = filePath;
+        this.db = null;
+        this.pending = new Map();
+        this.lastBackup = 0;
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch {
+            throw new Error('STORAGE_BACKEND=sqlite requires better-sqlite3 (npm install better-sqlite3)');
+        }
+        
+        this.db = await this.openVerified(Database);
+        
+        const version = this.db.pragma('user_version', { simple: true });
+        if (version > STORAGE_SCHEMA_VERSION) {
+            throw new Error(`Database schema version ${version} is newer than supported (${STORAGE_SCHEMA_VERSION})`);
+        }
+        
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        // Deleted users are overwritten on disk, not just unlinked from the tree
+        this.db.pragma('secure_delete = ON');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                user_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                last_message TEXT
+            );
+            CREATE TABLE IF NOT EXISTS history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                timestamp TEXT NOT NULL,
+                entry TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_history_user ON history (user_id, id);
+            CREATE INDEX IF NOT EXISTS idx_users_last_message ON users (last_message);
+        `);
+        this.db.pragma(`user_version = ${STORAGE_SCHEMA_VERSION}`);
+        
+        this.statements = {
+            getUser: this.db.prepare('SELECT data FROM users WHERE user_id = ?'),
+            getHistory: this.db.prepare('SELECT entry FROM history WHERE user_id = ? ORDER BY id DESC LIMIT ?'),
+            recentUsers: this.db.prepare('SELECT user_id FROM users WHERE last_message > ?'),
+            upsertUser: this.db.prepare(`
+                INSERT INTO users (user_id, data, last_message) VALUES (?, ?, ?)
+                ON CONFLICT (user_id) DO UPDATE SET data = excluded.data, last_message = excluded.last_message
+            `),
+            clearHistory: this.db.prepare('DELETE FROM history WHERE user_id = ?'),
+            insertHistory: this.db.prepare('INSERT INTO history (user_id, timestamp, entry) VALUES (?, ?, ?)'),
+            deleteUser: this.db.prepare('DELETE FROM users WHERE user_id = ?'),
+            userKeys: this.db.prepare('SELECT user_id FROM users WHERE user_id = ? OR user_id LIKE ?'),
+            usersWithHistoryBefore: this.db.prepare('SELECT DISTINCT user_id FROM history WHERE timestamp < ?'),
+            countUsers: this.db.prepare('SELECT COUNT(*) AS count FROM users')
+        };
+        
+        // One transaction per batch keeps autosaves cheap even with many users
+        this.writeBatch = this.db.transaction(records => {
+            for (const record of records) {
+                const { conversationHistory, ...user } = record;
+                const key = recordKey(user);
+                this.statements.upsertUser.run(key, JSON.stringify(user), user.lastMessage);
+                this.statements.clearHistory.run(key);
+                for (const entry of conversationHistory) {
+                    this.statements.insertHistory.run(key, entry.timestamp, JSON.stringify(entry));
+                }
+            }
+        });
+    }
+
+    // Opens the database, falling back to the newest backup that passes an integrity check
+    async openVerified(Database) {
+        const candidates = [null, ...await listBackups(this.filePath)];
+        
+        for (const backup of candidates) {
+            if (backup) {
+                await fs.copyFile(backup, this.filePath);
+                console.log(`♻️ Restoring database from ${path.basename(backup)}`);
+            }
+            
+            let db = null;
+            try {
+                db = new Database(this.filePath);
+                const check = db.pragma('quick_check', { simple: true });
+                if (check !== 'ok') throw new Error(check);
+                return db;
+            } catch (error) {
+                db?.close();
+                console.error(`⚠️ ${path.basename(backup || this.filePath)} is unreadable: ${error.message}`);
+                await quarantineFile(this.filePath);
+                await fs.unlink(`${this.filePath}-wal`).catch(() => {});
+                await fs.unlink(`${this.filePath}-shm`).catch(() => {});
+            }
+        }
+        
+        console.error('🚨 No valid backup found, starting with an empty database');
+        return new Database(this.filePath);
+    }
+
+    // Imports an existing conversations.json into an empty database
+    async migrateFrom(jsonPath) {
+        if (this.countUsers() > 0) return 0;
+        
+        try {
+            const records = Object.values(decodeSnapshot(await fs.readFile(jsonPath, 'utf8')));
+            this.writeBatch(records.map(record => serializeUser({ conversationHistory: [], ...record })));
+            console.log(`📦 Migrated ${records.length} users from ${path.basename(jsonPath)}`);
+            return records.length;
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Migration error:', error.message);
+            return 0;
+        }
+    }
+
+    loadUser(userId) {
+        const pending = this.pending.get(userId);
+        if (pending) return JSON.parse(JSON.stringify(pending));
+        
+        const row = this.statements.getUser.get(userId);
+        if (!row) return null;
+        
+        const history = this.statements.getHistory
+            .all(userId, CONFIG.limits.conversationHistory)
+            .map(h => JSON.parse(h.entry))
+            .reverse();
+        
+        return { ...JSON.parse(row.data), conversationHistory: history };
+    }
+
+    loadRecentUsers(since) {
+        return this.statements.recentUsers
+            .all(new Date(since).toISOString())
+            .map(row => this.loadUser(row.user_id));
+    }
+
+    saveUsers(records) {
+        for (const record of records) {
+            this.pending.set(recordKey(record), serializeUser(record));
+        }
+    }
+
+    deleteUser(userId) {
+        this.pending.delete(userId);
+        this.db.transaction(() => {
+            this.statements.clearHistory.run(userId);
+            this.statements.deleteUser.run(userId);
+        })();
+        // Older copies of the pages would otherwise linger in the write-ahead log
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+    }
+
+    listUserKeys(userId) {
+        const stored = this.statements.userKeys.all(userId, `${userId}:%`).map(row => row.user_id);
+        const pending = [...this.pending.keys()].filter(key => isUserRecordKey(key, userId));
+        return [...new Set([...stored, ...pending])];
+    }
+
+    listUsersWithHistoryBefore(before) {
+        return this.statements.usersWithHistoryBefore.all(before.toISOString()).map(row => row.user_id);
+    }
+
+    countUsers() {
+        return this.statements.countUsers.get().count;
+    }
+
+    async flush() {
+        if (this.pending.size > 0) {
+            // Cleared only after the batch commits, so a failed write is retried on the next flush
+            const records = [...this.pending.values()];
+            this.writeBatch(records);
+            this.pending.clear();
+        }
+        
+        await this.backupIfDue();
+    }
+
+    async backupIfDue() {
+        if (Date.now() - this.lastBackup < CONFIG.storage.backupInterval) return;
+        this.lastBackup = Date.now();
+        
+        try {
+            await rotateBackups(this.filePath, target => this.db.backup(target));
+        } catch (error) {
+            console.error('Backup error:', error.message);
+        }
+    }
+
+    async close() {
+        await this.flush();
+        this.db?.close();
+    }
+}
+
+function createStorage() {
+    switch (CONFIG.storage.backend) {
+        case 'sqlite': return new SQLiteStorage(CONFIG.files.database);
+        case 'json': return new JSONStorage(CONFIG.files.conversations);
+        default:
+            console.warn(`⚠️ Unknown STORAGE_BACKEND "${CONFIG.storage.backend}", using json`);
+            return new JSONStorage(CONFIG.files.conversations);
+    }
+}
+
+// ============================================================================
+// CONVERSATION MANAGEMENT (MEMORY-OPTIMIZED)
+// ============================================================================
+
+// A database that can't be opened (better-sqlite3 missing, corrupt without a backup) stops the
+// bot from starting. Running on the old conversations.json instead would lose everything said
+// meanwhile, since it is only ever imported into an empty database
+async function openStorage() {
+    const candidate = createStorage();
+    
+    try {
+        await candidate.init();
+        return candidate;
+    } catch (error) {
+        candidate.db?.close();
+        throw new Error(`Can't open ${candidate.name} storage: ${error.message}`);
+    }
+}
+
+// The backend is opened at startup by openStorage()
+async function loadConversations() {
+    try {
+        if (storage instanceof SQLiteStorage) {
+            await storage.migrateFrom(CONFIG.files.conversations);
+        }
+        
+        // Only warm up recent users, everyone else is loaded on demand
+        const threshold = Date.now() - CONFIG.limits.maxCacheAge;
+        conversations = {};
+        
+        for (const userData of storage.loadRecentUsers(threshold)) {
+            conversations[recordKey(userData)] = userData;
+        }
+        
+        console.log(`💾 Loaded ${Object.keys(conversations).length} active users (${storage.countUsers()} stored, ${storage.name})`);
+        await cleanupOldConversations();
+    } catch (error) {
+        console.error('Load error:', error);
+        conversations = {};
+    }
+}
+
+async function saveConversations() {
+    if (!storage) return;
+    
+    try {
+        const users = Object.values(conversations);
+        storage.saveUsers(users);
+        await storage.flush();
+        console.log(`💾 Saved ${users.length} users`);
+    } catch (error) {
+        console.error('Save error:', error);
+    }
+}
+
+function debouncedSave() {
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(saveConversations, CONFIG.timeouts.saveDebounce);
+}
+
+// Each user has one record per persona so histories never mix. Records for the
+// default persona keep the plain user id, other personas use "<userId>:<personaId>"
+function conversationKey(userId, personaId = DEFAULT_PERSONA_ID) {
+    return personaId && personaId !== DEFAULT_PERSONA_ID ? `${userId}:${personaId}` : userId;
+}
+
+function recordKey(record) {
+    return conversationKey(record.userId, record.persona);
+}
+
+// Returns the in-memory record, lazily loading it from storage after an eviction
+function findUser(userId) {
+    if (!conversations[userId] && storage) {
+        const stored = storage.loadUser(userId);
+        if (stored) conversations[userId] = stored;
+    }
+    
+    return conversations[userId] || null;
+}
+
+function getUserData(key, userName) {
+    if (!findUser(key)) {
+        const [userId, personaId = DEFAULT_PERSONA_ID] = key.split(':');
+        conversations[key] = {
+            userId,
+            persona: personaId,
+            activePersona: null,
+            userName,
+            firstMessage: new Date().toISOString(),
+            lastMessage: new Date().toISOString(),
+            messageCount: 0,
+            preferredLanguage: null,
+            languageLocked: false,
+            conversationHistory: [],
+            summary: null,
+            unsummarized: [],
+            facts: [],
+            memoryCursor: null,
+            userStats: {
+                totalMessages: 0,
+                imagesGenerated: 0,
+                relationshipLevel: 1,
+                favoriteIntents: {},
+                specialMoments: []
+            }
+        };
+    }
+    
+    conversations[key].userName = userName;
+    return conversations[key];
+}
+
+// Keys of every record of a user, one per persona, in memory or in storage
+function listUserRecordKeys(userId) {
+    return [...new Set([
+        ...Object.keys(conversations).filter(key => isUserRecordKey(key, userId)),
+        ...(storage?.listUserKeys(userId) || [])
+    ])];
+}
+
+// Opting out is stored on the user's base record and applies to every persona
+function isOptedOut(userId) {
+    return Boolean(findUser(userId)?.privacyOptOut);
+}
+
+function hasPrivateHistory(userData) {
+    return Boolean(
+        userData?.privateSummary?.text ||
+        userData?.facts?.some(f => f.private) ||
+        [...(userData?.conversationHistory || []), ...(userData?.sessionHistory || [])].some(e => e.dm)
+    );
+}
+
+// Everything stored about a user, as saved to disk
+function exportUserData(userId) {
+    const records = listUserRecordKeys(userId)
+        .map(key => findUser(key))
+        .filter(Boolean)
+        .map(record => ({ personaName: getPersonaName(getPersona(record.persona)), ...serializeUser(record) }));
+    
+    return {
+        exportedAt: new Date().toISOString(),
+        userId,
+        optedOut: isOptedOut(userId),
+        schedule: schedules[userId] || null,
+        records
+    };
+}
+
+// Removes every record of a user, for all personas, from memory, storage and backups, and their schedule
+async function deleteAllUserData(userId) {
+    const keys = listUserRecordKeys(userId);
+    const scheduled = deleteSchedule(userId);
+    
+    for (const key of keys) {
+        delete conversations[key];
+        storage?.deleteUser(key);
+    }
+    
+    await storage?.flush();
+    await scrubUserFromBackups(userId);
+    return keys.length + (scheduled ? 1 : 0);
+}
+
+// Returns the new history entry, attachments are records from readAttachments(),
+// dm marks exchanges from direct messages so they stay out of public channels,
+// thread is the id of the thread the exchange happened in
+function addToConversation(key, userName, message, response, intent, type = 'chat', { attachments = null, dm = false, thread = null } = {}) {
+    const userData = getUserData(key, userName);
+    
+    // Trim message for memory
+    const maxLength = CONFIG.limits.maxStoredMessageLength;
+    const trimmedMsg = message.length > maxLength ? message.substring(0, maxLength) + '...' : message;
+    const trimmedRes = response.length > maxLength ? response.substring(0, maxLength) + '...' : response;
+    
+    const entry = {
+        timestamp: new Date().toISOString(),
+        type,
+        userMessage: trimmedMsg,
+        botResponse: trimmedRes,
+        intent,
+        ...(attachments?.length > 0 && { attachments }),
+        ...(dm && { dm: true }),
+        ...(thread && { thread })
+    };
+    
+    appendHistory(userData, entry);
+    
+    userData.lastMessage = new Date().toISOString();
+    userData.messageCount++;
+    userData.userStats.totalMessages++;
+    
+    if (intent) {
+        userData.userStats.favoriteIntents[intent] = 
+            (userData.userStats.favoriteIntents[intent] || 0) + 1;
+    }
+    
+    // Relationship XP, level-ups and streaks land in specialMoments
+    awardXp(userData, type === 'image' ? 'image' : 'message', message);
+    
+    if (userData.userStats.specialMoments.length > 10) {
+        userData.userStats.specialMoments = userData.userStats.specialMoments.slice(-10);
+    }
+    
+    userData.messageCount = userData.conversationHistory.length;
+    debouncedSave();
+    return entry;
+}
+
+function appendHistory(userData, entry) {
+    // Opted-out users get a short history that only lives in memory and is never saved
+    if (isOptedOut(userData.userId)) {
+        userData.sessionHistory = [...(userData.sessionHistory || []), entry].slice(-CONFIG.limits.conversationHistory);
+        return;
+    }
+    
+    userData.conversationHistory.push(entry);
+    
+    // Keep only recent history, older exchanges are rolled into the summary
+    const overflow = userData.conversationHistory.length - CONFIG.limits.conversationHistory;
+    if (overflow > 0) {
+        archiveHistory(userData, userData.conversationHistory.slice(0, overflow));
+        userData.conversationHistory = userData.conversationHistory.slice(overflow);
+    }
+}
+
+// Rough token estimate (~4 characters per token) - good enough for budgeting
+function estimateTokens(text) {
+    return Math.ceil((text?.length || 0) / 4);
+}
+
+function historyEntryToMessages(entry) {
+    if (entry.type === 'image') {
+        return [
+            { role: 'user', content: `(asked for an image) ${entry.userMessage}` },
+            { role: 'assistant', content: '(sent the generated image)' }
+        ];
+    }
+    
+    // Messages the bot sent on its own have no user side
+    if (entry.type === 'scheduled') {
+        return [{ role: 'assistant', content: entry.botResponse }];
+    }
+    
+    if (entry.type === 'tool') {
+        return [{ role: 'assistant', content: `(used ${entry.intent} ${entry.userMessage} -> ${entry.botResponse})` }];
+    }
+    
+    // Images aren't kept, their descriptions stand in for them
+    const notes = (entry.attachments || []).map(describeAttachmentRecord);
+    
+    return [
+        { role: 'user', content: [entry.userMessage, ...notes].filter(Boolean).join('\n') },
+        { role: 'assistant', content: entry.botResponse }
+    ];
+}
+
+// Instructions are extra system prompt lines for this message only, e.g. channel rules,
+// images are attachments of the current message for vision models. DM history is left out of public
+// channels, and each thread only sees its own history
+function buildChatMessages(key, userName, userMessage, { instructions = [], images = [], inDm = false, thread = null } = {}) {
+    // Created up front so a first message to a persona already gets its system prompt
+    const userData = getUserData(key, userName);
+    const system = { role: 'system', content: [buildSystemPrompt(userName, userData, { inDm }), ...instructions].join('\n') };
+    const current = { role: 'user', content: userMessage, ...(images.length > 0 && { images }) };
+    const history = [...userData.conversationHistory, ...(userData.sessionHistory || [])]
+        .filter(entry => (inDm || !entry.dm) && (entry.thread || null) === thread);
+    
+    // Walk backwards from the newest exchange until the budget is spent
+    let budget = CONFIG.limits.contextTokenBudget;
+    const recent = [];
+    
+    for (let i = history.length - 1; i >= 0; i--) {
+        const exchange = historyEntryToMessages(history[i]);
+        const cost = exchange.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+        if (cost > budget) break;
+        
+        budget -= cost;
+        recent.unshift(...exchange);
+    }
+    
+    return [system, ...recent, current];
+}
+
+async function cleanupOldConversations() {
+    const threshold = new Date(Date.now() - CONFIG.limits.conversationRetentionDays * 24 * 60 * 60 * 1000);
+    let totalArchived = 0;
+    
+    // Users that are only in storage are loaded so their old history gets summarized too
+    const storedIds = (storage?.listUsersWithHistoryBefore(threshold) || [])
+        .filter(userId => !conversations[userId])
+        .slice(0, CONFIG.summary.cleanupBatch);
+    
+    for (const userId of [...Object.keys(conversations), ...storedIds]) {
+        const userData = findUser(userId);
+        if (!userData) continue;
+        
+        if (userData.conversationHistory) {
+            const expired = userData.conversationHistory.filter(e => new Date(e.timestamp) < threshold);
+            
+            if (expired.length > 0) {
+                userData.conversationHistory = userData.conversationHistory.filter(e =>
+                    new Date(e.timestamp) >= threshold
+                );
+                archiveHistory(userData, expired);
+                totalArchived += expired.length;
+            }
+            
+            userData.messageCount = userData.conversationHistory.length;
+        }
+    }
+    
+    if (totalArchived > 0) {
+        console.log(`🧹 Archived ${totalArchived} old messages into summaries`);
+        await saveConversations();
+    }
+    
+    return { totalArchived };
+}
+
+// ============================================================================
+// LONG-TERM MEMORY
+// ============================================================================
+
+const FACT_CATEGORIES = ['name', 'birthday', 'pet', 'family', 'like', 'dislike', 'event', 'promise', 'other'];
+
+function normalizeFact(text) {
+    return tokenize(text).join(' ');
+}
+
+// Private facts were learned in DMs and only used there
+function addFact(userData, text, category = 'other', source = 'explicit', isPrivate = false) {
+    const clean = text.trim().replace(/[.!\s]+$/, '');
+    if (clean.length < 3) return null;
+    
+    userData.facts = userData.facts || [];
+    
+    // Skip facts we already know (same words, ignoring case and accents)
+    const key = normalizeFact(clean);
+    if (userData.facts.some(f => normalizeFact(f.text) === key)) return null;
+    
+    const fact = {
+        text: clean.substring(0, CONFIG.memory.maxFactLength),
+        category: FACT_CATEGORIES.includes(category) ? category : 'other',
+        source,
+        ...(isPrivate && { private: true }),
+        createdAt: new Date().toISOString()
+    };
+    
+    userData.facts.push(fact);
+    
+    // Explicit facts outlive extracted ones when the list is full
+    while (userData.facts.length > CONFIG.memory.maxFacts) {
+        const index = userData.facts.findIndex(f => f.source !== 'explicit');
+        userData.facts.splice(index === -1 ? 0 : index, 1);
+    }
+    
+    debouncedSave();
+    return fact;
+}
+
+function removeFact(userData, index) {
+    if (!userData?.facts?.[index]) return null;
+    const [removed] = userData.facts.splice(index, 1);
+    debouncedSave();
+    return removed;
+}
+
+// Text after "remember that ..." from the regex triggers of the "remember" intent
+function extractExplicitFact(message, persona = personality) {
+    const intent = persona.compiledIntents.find(i => i.name === 'remember');
+    if (!intent) return null;
+    
+    for (const pattern of intent.patterns) {
+        const match = pattern.isRaw ? pattern.regex.exec(message) : null;
+        if (match?.[1]) return match[1];
+    }
+    
+    return null;
+}
+
+function buildFactExtractionMessages(userName, entries, knownFacts, aiName) {
+    const transcript = entries
+        .map(e => `${userName}: ${e.userMessage}\n${aiName}: ${e.botResponse}`)
+        .join('\n');
+    const known = knownFacts.length > 0
+        ? knownFacts.map(f => `- ${f.text}`).join('\n')
+        : '(nothing yet)';
+    
+    return [
+        {
+            role: 'system',
+            content: `You extract long-term memories about ${userName} from a chat. ` +
+                `Only keep durable facts: their name, birthday, pets, family, likes, dislikes, important events, ` +
+                `and promises either side made. Ignore small talk, moods and anything already known.\n` +
+                `Reply ONLY with a JSON array like [{"category":"pet","text":"Has a cat named Miso"}]. ` +
+                `Categories: ${FACT_CATEGORIES.join(', ')}. Reply [] if there is nothing new.`
+        },
+        {
+            role: 'user',
+            content: `Already known:\n${known}\n\nChat:\n${transcript}`
+        }
+    ];
+}
+
+function parseExtractedFacts(text) {
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) return [];
+    
+    try {
+        const parsed = JSON.parse(text.slice(start, end + 1));
+        return Array.isArray(parsed)
+            ? parsed.filter(f => typeof f?.text === 'string')
+            : [];
+    } catch {
+        return [];
+    }
+}
+
+const extractionsInFlight = new Set();
+
+// Runs in the background every few exchanges, never blocks a reply
+async function extractFacts(key, userName) {
+    const userData = findUser(key);
+    if (!CONFIG.memory.autoExtract || !userData || extractionsInFlight.has(key)) return;
+    
+    const cursor = userData.memoryCursor ? new Date(userData.memoryCursor) : new Date(0);
+    const pending = userData.conversationHistory.filter(e =>
+        e.type === 'chat' && new Date(e.timestamp) > cursor
+    );
+    if (pending.length < CONFIG.memory.extractEvery) return;
+    
+    extractionsInFlight.add(key);
+    try {
+        const aiName = getPersonaName(getPersona(userData.persona));
+        const messages = buildFactExtractionMessages(userName, pending, userData.facts || [], aiName);
+        const reply = await completeWithProviders(messages, { maxTokens: 300, temperature: 0.2 });
+        
+        // A batch with any DM in it only produces private facts
+        const fromDm = pending.some(e => e.dm);
+        const added = parseExtractedFacts(reply)
+            .map(f => addFact(userData, f.text, f.category, 'extracted', fromDm))
+            .filter(Boolean);
+        
+        userData.memoryCursor = pending[pending.length - 1].timestamp;
+        debouncedSave();
+        
+        if (added.length > 0) {
+            console.log(`🧠 Remembered ${added.length} new fact(s) about ${userName}`);
+        }
+    } catch (error) {
+        console.error('Fact extraction failed:', error.message);
+    } finally {
+        extractionsInFlight.delete(key);
+    }
+}
+
+function createMemoryEmbed(userData, userName) {
+    const facts = userData?.facts || [];
+    
+    const embed = new EmbedBuilder()
+        .setColor('#FF69B4')
+        .setTitle(`🧠 What ${getPersonaName(getPersona(userData?.persona))} remembers about ${userName}`)
+        .setTimestamp();
+    
+    if (facts.length === 0) {
+        return embed.setDescription("Nothing yet~ Tell me about yourself! 💕");
+    }
+    
+    const lines = facts.map((f, i) => `**${i + 1}.** ${f.private ? '🔒 ' : ''}${f.text} *(${f.category})*`);
+    let description = '';
+    for (const line of lines) {
+        if (description.length + line.length + 1 > 4000) break;
+        description += `${line}\n`;
+    }
+    
+    return embed
+        .setDescription(description)
+        .setFooter({ text: `Use /memory forget <number> to remove one${facts.some(f => f.private) ? ' · 🔒 only used in DMs' : ''}` });
+}
+
+// ============================================================================
+// CONVERSATION SUMMARIES
+// ============================================================================
+
+let summaryQueue = Promise.resolve();
+const summariesQueued = new Set();
+
+function shorten(text, max) {
+    return text.length > max ? text.substring(0, max - 3) + '...' : text;
+}
+
+// History that is about to be pruned is parked here until it is summarized
+function archiveHistory(userData, entries) {
+    // Scheduled greetings and tool calls say nothing about the user, they aren't worth summary space
+    entries = entries.filter(e => e.type !== 'scheduled' && e.type !== 'tool');
+    if (entries.length === 0) return;
+    
+    const compact = entries.map(e => ({
+        timestamp: e.timestamp,
+        type: e.type,
+        userMessage: shorten(e.userMessage, 300),
+        botResponse: shorten(e.botResponse, 300),
+        ...(e.dm && { dm: true })
+    }));
+    
+    userData.unsummarized = [...(userData.unsummarized || []), ...compact].slice(-CONFIG.summary.maxPending);
+    queueSummary(recordKey(userData));
+}
+
+// Summaries run one at a time so a big cleanup doesn't burst through the API quota
+function queueSummary(userId) {
+    if (summariesQueued.has(userId)) return;
+    summariesQueued.add(userId);
+    
+    summaryQueue = summaryQueue
+        .then(() => summarizeUser(userId))
+        .catch(error => console.error('Summary error:', error))
+        .finally(() => summariesQueued.delete(userId));
+}
+
+function summarizeLocally(previous, entries, userName) {
+    const lines = entries.map(e => {
+        const day = e.timestamp.slice(0, 10);
+        return e.type === 'image'
+            ? `${day}: ${userName} asked for an image of "${shorten(e.userMessage, 60)}"`
+            : `${day}: ${userName} said "${shorten(e.userMessage, 80)}"`;
+    });
+    
+    let text = [previous, ...lines].filter(Boolean).join('\n');
+    
+    // Oldest lines go first when the summary grows too long
+    while (text.length > CONFIG.summary.maxLength) {
+        const cut = text.indexOf('\n');
+        if (cut === -1) return text.slice(-CONFIG.summary.maxLength);
+        text = text.slice(cut + 1);
+    }
+    
+    return text;
+}
+
+async function summarizeWithAI(previous, entries, userName, aiName) {
+    const transcript = entries
+        .map(e => `[${e.timestamp.slice(0, 10)}] ${userName}: ${e.userMessage}\n${aiName}: ${e.botResponse}`)
+        .join('\n');
+    
+    const messages = [
+        {
+            role: 'system',
+            content: `You keep a running summary of the relationship between ${aiName} and ${userName}. ` +
+                `Merge the new exchanges into the current summary. Keep names, feelings, events, inside jokes ` +
+                `and promises, drop small talk. Write in third person, at most ${CONFIG.summary.maxWords} words. ` +
+                `Reply with the summary only.`
+        },
+        {
+            role: 'user',
+            content: `Current summary:\n${previous || '(none yet)'}\n\nNew exchanges:\n${transcript}`
+        }
+    ];
+    
+    const summary = (await completeWithProviders(messages, { maxTokens: 350, temperature: 0.3 })).trim();
+    return shorten(summary, CONFIG.summary.maxLength);
+}
+
+async function summarizeUser(userId) {
+    const userData = findUser(userId);
+    const entries = [...(userData?.unsummarized || [])];
+    if (entries.length === 0) return;
+    
+    // /forget or a deletion while the AI is writing makes the result stale, it is thrown away
+    const generation = userData.summaryGeneration;
+    const isStale = () => conversations[userId] !== userData || userData.summaryGeneration !== generation;
+    
+    // DMs get their own summary so they never end up in the one used in public channels
+    const groups = [
+        ['summary', entries.filter(e => !e.dm)],
+        ['privateSummary', entries.filter(e => e.dm)]
+    ];
+    const summaries = {};
+    
+    for (const [field, group] of groups) {
+        if (group.length === 0) continue;
+        
+        const previous = userData[field]?.text || '';
+        let text;
+        
+        try {
+            if (!CONFIG.summary.useAI) throw new Error('AI summaries disabled');
+            text = await summarizeWithAI(previous, group, userData.userName, getPersonaName(getPersona(userData.persona)));
+        } catch (error) {
+            if (CONFIG.summary.useAI) console.error('AI summary failed, using local summary:', error.message);
+            text = summarizeLocally(previous, group, userData.userName);
+        }
+        
+        if (isStale()) return;
+        summaries[field] = {
+            text,
+            updatedAt: new Date().toISOString(),
+            coveredUntil: group[group.length - 1].timestamp
+        };
+    }
+    
+    Object.assign(userData, summaries);
+    // Entries that arrived meanwhile stay, ones trimmed by archiveHistory are already gone
+    userData.unsummarized = userData.unsummarized.filter(entry => !entries.includes(entry));
+    
+    // Users loaded only for cleanup go straight back to storage
+    const lastActive = new Date(userData.lastMessage).getTime();
+    if (storage && Date.now() - lastActive > CONFIG.limits.maxCacheAge) {
+        storage.saveUsers([userData]);
+        delete conversations[userId];
+    }
+    
+    debouncedSave();
+}
+
+// ============================================================================
+// RELATIONSHIP PROGRESSION
+// ============================================================================
+
+// Used by personas without a "progression" block when personality.json has none either
+const DEFAULT_PROGRESSION = {
+    xp: {
+        // Every chat message, more for messages with some substance
+        message: 2,
+        qualityWords: 8,
+        qualityBonus: 3,
+        longWords: 25,
+        longBonus: 5,
+        // Messages sent faster than this, or repeated, earn nothing
+        cooldownSeconds: 20,
+        // First message of a UTC day, plus a bonus for each day of the streak
+        dailyCheckIn: 15,
+        streakBonus: 5,
+        maxStreakBonus: 35,
+        image: 4,
+        // Message and image XP per day, check-ins excluded
+        dailyCap: 250
+    },
+    decay: {
+        // Days of silence before XP starts dropping, never below minLevel
+        graceDays: 3,
+        xpPerDay: 10,
+        minLevel: 1
+    },
+    streakMilestones: [3, 7, 30, 100],
+    levels: [
+        { name: 'Stranger', xp: 0 },
+        { name: 'Acquaintance', xp: 50 },
+        { name: 'Friend', xp: 150 },
+        { name: 'Close Friend', xp: 350 },
+        { name: 'Crush', xp: 700 },
+        { name: 'Sweetheart', xp: 1200 },
+        { name: 'Soulmate', xp: 2000 }
+    ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getProgression(persona = personality) {
+    const config = persona?.progression || personality?.progression || {};
+    return {
+        xp: { ...DEFAULT_PROGRESSION.xp, ...config.xp },
+        decay: { ...DEFAULT_PROGRESSION.decay, ...config.decay },
+        streakMilestones: config.streakMilestones || DEFAULT_PROGRESSION.streakMilestones,
+        levels: config.levels?.length ? config.levels : DEFAULT_PROGRESSION.levels
+    };
+}
+
+function dayNumber(day) {
+    return day ? Math.floor(Date.parse(`${day}T00:00:00Z`) / DAY_MS) : null;
+}
+
+// Levels are numbered from 1 in list order, each one starting at its "xp"
+function levelFor(xp, levels) {
+    let index = 0;
+    levels.forEach((level, i) => {
+        if (xp >= level.xp) index = i;
+    });
+    
+    return { ...levels[index], level: index + 1, next: levels[index + 1] || null };
+}
+
+// Users from before progression get XP for what they already did, so nobody starts over
+function ensureProgress(stats, config) {
+    if (typeof stats.xp === 'number') return;
+    
+    stats.xp = stats.totalMessages * config.xp.message + stats.imagesGenerated * config.xp.image;
+    stats.relationshipLevel = levelFor(stats.xp, config.levels).level;
+    stats.peakLevel = stats.relationshipLevel;
+    stats.streak = 0;
+    stats.lastCheckIn = null;
+    stats.lastActiveDay = null;
+    stats.decayedUntil = null;
+    stats.xpDay = null;
+    stats.xpToday = 0;
+    stats.lastMessageXpAt = null;
+    stats.lastMessageDigest = null;
+}
+
+// Removes XP for the idle days not yet accounted for; safe to call any number of times
+function applyDecay(stats, config, today) {
+    const { graceDays, xpPerDay, minLevel } = config.decay;
+    if (!xpPerDay || !stats.lastActiveDay) return;
+    
+    const from = Math.max(dayNumber(stats.lastActiveDay) + graceDays, dayNumber(stats.decayedUntil) ?? 0);
+    const days = dayNumber(today) - from;
+    if (days <= 0) return;
+    
+    const floor = config.levels[Math.min(minLevel, config.levels.length) - 1]?.xp || 0;
+    stats.xp = Math.min(stats.xp, Math.max(floor, stats.xp - days * xpPerDay));
+    stats.decayedUntil = today;
+    stats.relationshipLevel = levelFor(stats.xp, config.levels).level;
+}
+
+function scoreMessageXp(stats, text, xp, now) {
+    const digest = crypto.createHash('sha1').update(normalizeText(text).trim()).digest('hex').substring(0, 12);
+    const tooSoon = stats.lastMessageXpAt && now - new Date(stats.lastMessageXpAt) < xp.cooldownSeconds * 1000;
+    const repeated = digest === stats.lastMessageDigest;
+    stats.lastMessageDigest = digest;
+    if (tooSoon || repeated || !text.trim()) return 0;
+    
+    stats.lastMessageXpAt = now.toISOString();
+    const words = text.split(/\s+/).filter(Boolean).length;
+    return xp.message +
+        (words >= xp.qualityWords ? xp.qualityBonus : 0) +
+        (words >= xp.longWords ? xp.longBonus : 0);
+}
+
+// Brings a record's level up to date after inactivity, e.g. before showing it
+function refreshProgress(userData) {
+    const config = getProgression(getPersona(userData.persona));
+    ensureProgress(userData.userStats, config);
+    applyDecay(userData.userStats, config, new Date().toISOString().slice(0, 10));
+    return config;
+}
+
+// Awards XP for a "message" or an "image" and records new milestones in specialMoments
+function awardXp(userData, source, text = '') {
+    const stats = userData.userStats;
+    const config = refreshProgress(userData);
+    const { xp } = config;
+    const now = new Date();
+    const today = now.toISOString().slice(0, 10);
+    const moments = [];
+    let gained = 0;
+    
+    if (stats.lastCheckIn !== today) {
+        stats.streak = dayNumber(today) - 1 === dayNumber(stats.lastCheckIn) ? stats.streak + 1 : 1;
+        stats.lastCheckIn = today;
+        gained += xp.dailyCheckIn + Math.min((stats.streak - 1) * xp.streakBonus, xp.maxStreakBonus);
+        
+        if (config.streakMilestones.includes(stats.streak)) {
+            moments.push({ type: 'streak', streak: stats.streak });
+        }
+    }
+    
+    if (stats.xpDay !== today) {
+        stats.xpDay = today;
+        stats.xpToday = 0;
+    }
+    
+    const earned = source === 'image' ? xp.image : scoreMessageXp(stats, text, xp, now);
+    const capped = Math.max(0, Math.min(earned, xp.dailyCap - stats.xpToday));
+    stats.xpToday += capped;
+    stats.xp += gained + capped;
+    stats.lastActiveDay = today;
+    stats.decayedUntil = today;
+    
+    // Levels lost to decay and won back are not announced again
+    const current = levelFor(stats.xp, config.levels);
+    stats.relationshipLevel = current.level;
+    for (let level = stats.peakLevel + 1; level <= current.level; level++) {
+        moments.push({ type: 'level_up', level, name: config.levels[level - 1].name });
+    }
+    stats.peakLevel = Math.max(stats.peakLevel, current.level);
+    
+    for (const moment of moments) {
+        stats.specialMoments.push({ ...moment, timestamp: now.toISOString(), announced: false });
+    }
+    
+    return moments;
+}
+
+function formatMoment(moment) {
+    if (moment.type === 'level_up') return `💖 Level ${moment.level}${moment.name ? ` · ${moment.name}` : ''}`;
+    if (moment.type === 'streak') return `🔥 ${moment.streak}-day streak`;
+    return `✨ ${moment.type}`;
+}
+
+// Announcement lines for milestones not shown yet: the level's own "announcement",
+// else the persona's levelUp / streak intents, else a plain line
+function takeMilestoneAnnouncements(key, userName, lang, persona = personality) {
+    const userData = findUser(key);
+    const pending = userData?.userStats.specialMoments.filter(moment => moment.announced === false) || [];
+    if (pending.length === 0) return null;
+    
+    const config = getProgression(persona);
+    const lines = pending.map(moment => {
+        moment.announced = true;
+        
+        const custom = moment.type === 'level_up'
+            ? replacePlaceholders(config.levels[moment.level - 1]?.announcement, userName, persona) ||
+              getCustomResponse('levelUp', userName, lang, persona, moment.level)
+            : getCustomResponse('streak', userName, lang, persona, userData.userStats.relationshipLevel);
+        const fallback = moment.type === 'level_up'
+            ? `🎉 {user} reached level {level}: {name}! 💖`
+            : `🔥 {streak} days in a row with {user}! 💕`;
+        
+        return (custom || fallback)
+            .replace(/{user}/gi, userName)
+            .replace(/{level}/gi, moment.level)
+            .replace(/{name}/gi, moment.name || '')
+            .replace(/{streak}/gi, moment.streak);
+    });
+    
+    debouncedSave();
+    return lines.join('\n');
+}
+
+// ============================================================================
+// ATTACHMENTS & VISION
+// ============================================================================
+
+// Formats every vision provider accepts
+const VISION_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const TEXT_FILE_PATTERN = /\.(txt|md|log|csv|json|ya?ml|xml|html?|css|js|ts|py|java|c|cpp|cs|go|rs|rb|php|sh|ini|toml)$/i;
+
+async function downloadAttachment(attachment, maxBytes) {
+    const response = await axios.get(attachment.url, {
+        responseType: 'arraybuffer',
+        timeout: CONFIG.attachments.timeout,
+        maxContentLength: maxBytes
+    });
+    return Buffer.from(response.data);
+}
+
+// Collects what a chat message carries: images for vision models, text files pasted as text,
+// and one record per attachment for the history. Oversized or unsupported files are only named
+async function readAttachments(message) {
+    const { maxImages, maxImageBytes, readText, maxTextBytes, maxTextChars } = CONFIG.attachments;
+    const result = { images: [], text: '', records: [] };
+    
+    for (const attachment of message.attachments?.values() || []) {
+        const name = attachment.name || 'file';
+        const type = (attachment.contentType || '').split(';')[0].trim().toLowerCase();
+        const isImage = VISION_IMAGE_TYPES.includes(type);
+        const isText = readText && (type.startsWith('text/') || type === 'application/json' || TEXT_FILE_PATTERN.test(name));
+        
+        const tooLarge = attachment.size > (isImage ? maxImageBytes : maxTextBytes);
+        if ((!isImage && !isText) || tooLarge || (isImage && result.images.length >= maxImages)) {
+            result.records.push({ kind: 'skipped', name, description: tooLarge ? 'too large' : null });
+            continue;
+        }
+        
+        try {
+            const data = await downloadAttachment(attachment, isImage ? maxImageBytes : maxTextBytes);
+            
+            if (isImage) {
+                result.images.push({ name, mimeType: type, data: data.toString('base64') });
+                result.records.push({ kind: 'image', name, description: null });
+            } else {
+                const text = data.toString('utf8');
+                const clipped = text.length > maxTextChars ? `${text.substring(0, maxTextChars)}\n[...cut]` : text;
+                result.text += `\n\n[File ${name}]\n${clipped}`;
+                result.records.push({ kind: 'file', name, description: `${text.length} characters` });
+            }
+        } catch (error) {
+            console.error(`Attachment error (${name}):`, error.message);
+            result.records.push({ kind: 'skipped', name, description: 'could not be downloaded' });
+        }
+    }
+    
+    return result;
+}
+
+function describeAttachmentRecord(record) {
+    if (record.kind === 'skipped') return `[${record.name}: not opened${record.description ? `, ${record.description}` : ''}]`;
+    
+    const label = record.kind === 'image' ? 'Image' : 'File';
+    return `[${label} ${record.name}${record.description ? `: ${record.description}` : ''}]`;
+}
+
+// Asks a vision model for one line per image and stores it on the history entry, so later
+// replies can still refer to pictures that are no longer kept
+async function describeImages(entry, images) {
+    if (!providers.some(supportsVision)) return;
+    
+    const messages = [
+        {
+            role: 'system',
+            content: 'Describe each image in one short sentence: who or what is in it, any visible text, and the mood. ' +
+                     'Answer with one numbered line per image and nothing else.'
+        },
+        { role: 'user', content: `${images.length} image(s):`, images }
+    ];
+    
+    try {
+        const reply = await completeWithProviders(messages, { maxTokens: 60 * images.length, temperature: 0.2, visionOnly: true });
+        const lines = reply.split('\n')
+            .map(line => line.replace(/^\s*\d+[.)]\s*/, '').trim())
+            .filter(Boolean);
+        
+        const records = entry.attachments.filter(record => record.kind === 'image');
+        records.forEach((record, index) => {
+            record.description = (lines[index] || '').substring(0, CONFIG.memory.maxFactLength) || null;
+        });
+        debouncedSave();
+    } catch (error) {
+        console.error('Image description failed:', error.message);
+    }
+}
+
+// ============================================================================
+// IMAGE GENERATION (OPTIMIZED)
+// ============================================================================
+
+// Built-in image backends; the "images" block of providers.json can override them or add more
+const DEFAULT_IMAGE_PROVIDERS = {
+    order: ['pollinations'],
+    providers: {
+        pollinations: {
+            type: 'pollinations',
+            label: 'Pollinations',
+            baseUrl: 'https://image.pollinations.ai'
+        },
+        'local-sd': {
+            enabled: false,
+            type: 'automatic1111',
+            label: 'Local Stable Diffusion',
+            baseUrl: 'http://127.0.0.1:7860',
+            steps: 25,
+            cfgScale: 7,
+            sampler: 'Euler a',
+            timeout: 120000
+        }
+    }
+};
+
+const IMAGE_PROVIDER_DEFAULTS = {
+    enabled: true,
+    timeout: 15000,
+    maxBytes: 10 * 1024 * 1024
+};
+
+// Used by personas without an "images" block
+const DEFAULT_IMAGE_STYLES = {
+    defaultStyle: 'anime',
+    styles: {
+        anime: { prompt: 'anime style, high quality' }
+    }
+};
+
+const IMAGE_ASPECTS = ['1:1', '16:9', '9:16', '4:3', '3:4', '3:2', '2:3'];
+
+let imageProviders = [];
+
+// Recent requests behind the reroll and variation buttons, oldest dropped first
+const imageRequests = new Map();
+
+function loadImageProviders(fileConfig = {}) {
+    const definitions = { ...DEFAULT_IMAGE_PROVIDERS.providers };
+    for (const [name, definition] of Object.entries(fileConfig.providers || {})) {
+        definitions[name] = { ...definitions[name], ...definition };
+    }
+    
+    const envOrder = process.env.IMAGE_PROVIDER_ORDER?.split(',').map(name => name.trim()).filter(Boolean);
+    const order = envOrder?.length ? envOrder : (fileConfig.order || DEFAULT_IMAGE_PROVIDERS.order);
+    
+    imageProviders = [];
+    for (const name of order) {
+        const definition = definitions[name];
+        if (!definition) {
+            console.warn(`⚠️ Unknown image provider "${name}" in image provider order`);
+            continue;
+        }
+        
+        const prefix = toEnvPrefix(name);
+        const provider = {
+            ...IMAGE_PROVIDER_DEFAULTS,
+            ...definition,
+            name,
+            label: definition.label || name,
+            model: process.env[`${prefix}_MODEL`] || definition.model,
+            baseUrl: (process.env[`${prefix}_BASE_URL`] || definition.baseUrl || '').replace(/\/+$/, '')
+        };
+        
+        if (!provider.enabled && !envOrder?.length) continue;
+        
+        if (!imageAdapters[provider.type]) {
+            console.warn(`⚠️ Image provider "${name}" has unknown type "${provider.type}"`);
+            continue;
+        }
+        
+        imageProviders.push(provider);
+    }
+    
+    console.log(`🎨 Image providers: ${imageProviders.map(p => p.name).join(' → ') || 'none'}`);
+}
+
+function getImageStyles(persona = personality) {
+    return persona?.images?.styles ? persona.images : (personality?.images?.styles ? personality.images : DEFAULT_IMAGE_STYLES);
+}
+
+function imageStyleChoices() {
+    return Object.keys(getImageStyles().styles).slice(0, 25).map(style => ({ name: style, value: style }));
+}
+
+function randomSeed() {
+    return crypto.randomInt(0, 2 ** 31);
+}
+
+// Widths and heights snap to multiples of 64, which every Stable Diffusion backend accepts
+function snapImageSide(value) {
+    const { minSize, maxSize } = CONFIG.images;
+    return Math.min(maxSize, Math.max(minSize, Math.round(value / 64) * 64));
+}
+
+// "16:9" keeps roughly the pixel count of the default square, "768x512" is taken as is
+function resolveImageSize({ aspect, size } = {}) {
+    const exact = size?.match(/^(\d{2,4})\s*[x×]\s*(\d{2,4})$/i);
+    if (exact) {
+        return { width: snapImageSide(Number(exact[1])), height: snapImageSide(Number(exact[2])) };
+    }
+    
+    const ratio = aspect?.match(/^(\d{1,2})\s*:\s*(\d{1,2})$/);
+    const value = ratio && Number(ratio[2]) > 0 ? Number(ratio[1]) / Number(ratio[2]) : 1;
+    const clamped = Math.min(4, Math.max(0.25, value || 1));
+    const area = CONFIG.images.baseSize ** 2;
+    
+    return {
+        width: snapImageSide(Math.sqrt(area * clamped)),
+        height: snapImageSide(Math.sqrt(area / clamped))
+    };
+}
+
+// Splits "a cat --ar 16:9 --style watercolor --seed 42 --no text, blurry" into a prompt and options
+function parseImageOptions(text) {
+    const [prompt, ...parts] = ` ${text}`.split(/\s--(?=[a-z])/i);
+    const options = {};
+    const rest = [];
+    
+    for (const part of parts) {
+        const [, flag, value] = part.match(/^([a-z]+)\s*([\s\S]*)$/i);
+        const trimmed = value.trim();
+        
+        switch (flag.toLowerCase()) {
+            case 'ar':
+            case 'aspect': options.aspect = trimmed; break;
+            case 'size': options.size = trimmed; break;
+            case 'style': options.style = trimmed.toLowerCase(); break;
+            case 'seed': options.seed = trimmed; break;
+            case 'no':
+            case 'negative': options.negative = trimmed; break;
+            // Unknown flags stay part of the prompt
+            default: rest.push(`--${part}`);
+        }
+    }
+    
+    return { prompt: [prompt.trim(), ...rest].join(' ').trim(), ...options };
+}
+
+// Turns parsed or slash command options into a full request, unknown styles fall back to the persona default
+function buildImageRequest(options, persona = personality, channel = null) {
+    const { defaultStyle, styles } = getImageStyles(persona);
+    const style = styles[options.style] ? options.style : (styles[defaultStyle] ? defaultStyle : null);
+    const seed = Number.parseInt(options.seed, 10);
+    
+    return {
+        prompt: options.prompt,
+        negative: options.negative || '',
+        style,
+        ...resolveImageSize(options),
+        seed: Number.isInteger(seed) && seed >= 0 ? seed % 2 ** 32 : randomSeed(),
+        variation: null,
+        personaId: persona.id,
+        // Asks backends with their own filter to use it outside age-restricted channels
+        safe: !isNsfwChannel(channel)
+    };
+}
+
+// The style's prompt and negative prompt are added to the user's
+function composeImagePrompt(request) {
+    const { styles } = getImageStyles(getPersona(request.personaId));
+    const style = styles[request.style] || {};
+    
+    return {
+        prompt: [request.prompt, style.prompt].filter(Boolean).join(', '),
+        negative: [style.negative, request.negative].filter(Boolean).join(', ')
+    };
+}
+
+// Adapters resolve to a PNG or JPEG buffer; "variation" is { seed, strength } when the user asked for one
+
+async function callPollinations(provider, request, { prompt, negative }) {
+    // Pollinations has no variation seeds, so a variation is a new seed with every other option kept
+    const params = new URLSearchParams({
+        width: request.width,
+        height: request.height,
+        seed: request.variation?.seed ?? request.seed,
+        nologo: 'true'
+    });
+    if (negative) params.set('negative_prompt', negative);
+    if (provider.model) params.set('model', provider.model);
+    if (request.safe) params.set('safe', 'true');
+    
+    const response = await axios.get(`${provider.baseUrl}/prompt/${encodeURIComponent(prompt)}?${params}`, {
+        responseType: 'arraybuffer',
+        timeout: provider.timeout,
+        maxContentLength: provider.maxBytes
+    });
+    
+    return Buffer.from(response.data);
+}
+
+// AUTOMATIC1111 / Forge / SD.Next web UI started with --api
+async function callAutomatic1111(provider, request, { prompt, negative }) {
+    const response = await axios.post(`${provider.baseUrl}/sdapi/v1/txt2img`, {
+        prompt,
+        negative_prompt: negative,
+        width: request.width,
+        height: request.height,
+        seed: request.seed,
+        ...(request.variation && {
+            subseed: request.variation.seed,
+            subseed_strength: request.variation.strength
+        }),
+        steps: provider.steps,
+        cfg_scale: provider.cfgScale,
+        sampler_name: provider.sampler,
+        batch_size: 1,
+        n_iter: 1,
+        ...(provider.model && { override_settings: { sd_model_checkpoint: provider.model } })
+    }, {
+        timeout: provider.timeout,
+        maxContentLength: provider.maxBytes * 2
+    });
+    
+    const image = response.data?.images?.[0];
+    if (!image) throw new Error('Invalid response');
+    return Buffer.from(image, 'base64');
+}
+
+const imageAdapters = {
+    pollinations: callPollinations,
+    automatic1111: callAutomatic1111
+};
+
+// Prompts are expected to have gone through moderateText(prompt, 'image') already
+// Resolves to { buffer, provider }, or null when every backend failed
+async function generateImage(request) {
+    const composed = composeImagePrompt(request);
+    
+    for (const provider of imageProviders) {
+        try {
+            const buffer = await imageAdapters[provider.type](provider, request, composed);
+            return { buffer, provider };
+        } catch (error) {
+            console.error(`Image error (${provider.label}):`, error.message);
+        }
+    }
+    
+    return null;
+}
+
+function storeImageRequest(request) {
+    const id = crypto.randomBytes(6).toString('hex');
+    imageRequests.set(id, request);
+    
+    while (imageRequests.size > CONFIG.images.storedRequests) {
+        imageRequests.delete(imageRequests.keys().next().value);
+    }
+    
+    return id;
+}
+
+// A reroll draws the same request with a new seed, a variation keeps the seed and adds a little noise
+function nextImageRequest(request, action) {
+    if (action === 'reroll') {
+        return { ...request, seed: randomSeed(), variation: null };
+    }
+    
+    return { ...request, variation: { seed: randomSeed(), strength: CONFIG.images.variationStrength } };
+}
+
+// ============================================================================
+// MODERATION
+// ============================================================================
+
+const MODERATION_STAGES = ['input', 'output', 'image'];
+const MODERATION_ACTIONS = ['refuse', 'redact', 'log'];
+
+// Built-in settings; moderation.json can replace any of them
+const DEFAULT_MODERATION = {
+    enabled: true,
+    // Used for servers that have not picked their own with /channel mod-log
+    logChannelId: null,
+    // Intents only answered in age-restricted (NSFW) channels
+    ageGatedIntents: ['flirty', 'love'],
+    // Added to the system prompt outside age-restricted channels
+    sfwInstruction: 'This channel is not age-restricted: keep replies wholesome, with no sexual or explicit content.',
+    // Discord doesn't verify ages in DMs, so they are treated as age-restricted only when turned on
+    dmsAgeRestricted: false,
+    rules: [
+        {
+            name: 'image-safety',
+            stages: ['image'],
+            words: ['sexy', 'hot', 'nude', 'naked', 'nsfw', 'sexual'],
+            action: 'redact',
+            replacement: 'beautiful'
+        }
+    ]
+};
+
+let moderation = { enabled: false, rules: [], ageGatedIntents: [], sfwInstruction: null, dmsAgeRestricted: false, logChannelId: null };
+
+// Words match whole words in any case, regex entries are used as written
+function compileModerationRule(rule, index) {
+    const name = rule.name || `rule ${index + 1}`;
+    
+    if (!MODERATION_ACTIONS.includes(rule.action)) {
+        console.warn(`⚠️ Moderation rule "${name}" has unknown action "${rule.action}"`);
+        return null;
+    }
+    
+    const patterns = [];
+    const words = (rule.words || [])
+        .map(word => word.trim())
+        .filter(Boolean)
+        .map(word => escapeRegex(word).replace(/\s+/g, '\\s+'));
+    
+    if (words.length > 0) {
+        patterns.push(new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.join('|')})(?![\\p{L}\\p{N}_])`, 'giu'));
+    }
+    
+    for (const source of rule.regex || []) {
+        try {
+            patterns.push(new RegExp(source, 'gi'));
+        } catch (error) {
+            console.warn(`⚠️ Moderation rule "${name}" has an invalid regex: ${error.message}`);
+        }
+    }
+    
+    if (patterns.length === 0) return null;
+    
+    return {
+        name,
+        stages: (rule.stages || ['input', 'output']).filter(stage => MODERATION_STAGES.includes(stage)),
+        action: rule.action,
+        replacement: rule.replacement ?? '***',
+        // Only enforced outside age-restricted channels
+        sfwOnly: rule.sfwOnly === true,
+        // Redactions are silent unless asked, refusals and log rules always report
+        log: rule.log ?? rule.action !== 'redact',
+        patterns
+    };
+}
+
+async function loadModeration() {
+    let fileConfig = {};
+    try {
+        fileConfig = JSON.parse(await fs.readFile(CONFIG.files.moderation, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`moderation.json is invalid: ${error.message}`);
+    }
+    
+    const config = { ...DEFAULT_MODERATION, ...fileConfig };
+    moderation = {
+        enabled: process.env.MODERATION_ENABLED !== 'false' && config.enabled !== false,
+        logChannelId: process.env.MOD_LOG_CHANNEL_ID || config.logChannelId || null,
+        ageGatedIntents: config.ageGatedIntents || [],
+        sfwInstruction: config.sfwInstruction || null,
+        dmsAgeRestricted: config.dmsAgeRestricted === true,
+        rules: (config.rules || []).map(compileModerationRule).filter(Boolean)
+    };
+    
+    console.log(`🛡️ Moderation: ${moderation.enabled ? `${moderation.rules.length} rule(s)` : 'off'}`);
+}
+
+// Threads inherit the age restriction of their parent channel, DMs follow dmsAgeRestricted
+function isNsfwChannel(channel) {
+    if (channel?.isDMBased?.()) return moderation.dmsAgeRestricted;
+    return Boolean(channel?.nsfw || (channel?.isThread?.() && channel.parent?.nsfw));
+}
+
+function isAgeGated(intent, channel) {
+    return moderation.enabled && moderation.ageGatedIntents.includes(intent) && !isNsfwChannel(channel);
+}
+
+// Extra system prompt lines for a channel
+function getChannelInstructions(channel) {
+    return moderation.enabled && moderation.sfwInstruction && !isNsfwChannel(channel)
+        ? [moderation.sfwInstruction]
+        : [];
+}
+
+// Runs every rule of a stage ("input", "output" or "image") over a text, without side effects
+function moderateText(text, stage, channel = null) {
+    const result = { text, refused: false, matches: [] };
+    if (!moderation.enabled || !text) return result;
+    
+    const nsfw = isNsfwChannel(channel);
+    
+    for (const rule of moderation.rules) {
+        if (!rule.stages.includes(stage) || (rule.sfwOnly && nsfw)) continue;
+        
+        const found = rule.patterns.flatMap(pattern => result.text.match(pattern) || []);
+        if (found.length === 0) continue;
+        
+        result.matches.push({ rule: rule.name, action: rule.action, log: rule.log, found: [...new Set(found)] });
+        
+        if (rule.action === 'refuse') {
+            result.refused = true;
+            break;
+        }
+        
+        if (rule.action === 'redact') {
+            result.text = rule.patterns.reduce((text, pattern) => text.replace(pattern, rule.replacement), result.text);
+        }
+    }
+    
+    return result;
+}
+
+// moderateText() plus a mod log entry for rules that report
+function screenText(text, stage, { userId, channel }) {
+    const result = moderateText(text, stage, channel);
+    
+    if (result.matches.some(match => match.log)) {
+        reportModeration(result, { stage, userId, channel, text }).catch(error => {
+            console.error('Moderation log error:', error.message);
+        });
+    }
+    
+    return result;
+}
+
+async function reportModeration(result, { stage, userId, channel, text }) {
+    const matches = result.matches.filter(match => match.log);
+    const rules = matches.map(match => `${match.rule} (${match.action})`).join(', ');
+    console.log(`🛡️ Moderation ${stage} for ${userId} in ${channel?.id || 'unknown channel'}: ${rules}`);
+    
+    const guildLog = channel?.guildId ? guildSettings[channel.guildId]?.modLogChannel : null;
+    const logChannelId = guildLog || moderation.logChannelId;
+    if (!logChannelId) return;
+    
+    const logChannel = await client.channels.fetch(logChannelId);
+    if (!logChannel?.isTextBased()) return;
+    
+    // Mod logs are read by other people, DMs are reported without their content
+    const inDm = channel?.isDMBased?.();
+    const hidden = '*(direct message, not shown)*';
+    const found = matches.flatMap(match => match.found).slice(0, 10).join(', ').substring(0, 1024) || '—';
+    
+    const embed = new EmbedBuilder()
+        .setColor('#FF1493')
+        .setTitle(`🛡️ Moderation: ${stage}${result.refused ? ' refused' : ''}`)
+        .addFields(
+            { name: 'User', value: `<@${userId}>`, inline: true },
+            { name: 'Channel', value: inDm ? 'DM' : channel ? `<#${channel.id}>` : '—', inline: true },
+            { name: 'Rules', value: rules.substring(0, 1024), inline: false },
+            { name: 'Matched', value: inDm ? hidden : found, inline: false },
+            { name: 'Text', value: inDm ? hidden : text.substring(0, 1024), inline: false }
+        )
+        .setTimestamp();
+    
+    await logChannel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+}
+
+function getModerationRefusal(userName, lang, persona = personality) {
+    return getCustomResponse('moderationRefused', userName, lang, persona) ||
+           "Let's talk about something else~ 💕";
+}
+
+// ============================================================================
+// EMBED CREATORS (LIGHTWEIGHT)
+// ============================================================================
+
+function createStatsEmbed(key, userName) {
+    const userData = findUser(key);
+    if (!userData) return null;
+
+    const stats = userData.userStats;
+    const favoriteIntent = Object.keys(stats.favoriteIntents).length > 0 
+        ? Object.keys(stats.favoriteIntents).reduce((a, b) => 
+            stats.favoriteIntents[a] > stats.favoriteIntents[b] ? a : b)
+        : 'random';
+    
+    const daysSince = Math.floor((new Date() - new Date(userData.firstMessage)) / (1000 * 60 * 60 * 24));
+    
+    const config = refreshProgress(userData);
+    const current = levelFor(stats.xp, config.levels);
+    const progress = current.next
+        ? `${createProgressBar((stats.xp - current.xp) / (current.next.xp - current.xp))}\n${stats.xp}/${current.next.xp} to ${current.next.name}`
+        : `${stats.xp} · max level`;
+    const milestones = stats.specialMoments.slice(-5).reverse()
+        .map(moment => `${formatMoment(moment)} · <t:${Math.floor(new Date(moment.timestamp) / 1000)}:R>`);
+
+    return new EmbedBuilder()
+        .setColor('#FF69B4')
+        .setTitle(`💖 ${userName}'s Journey with ${getPersonaName(getPersona(userData.persona))}`)
+        .addFields(
+            { name: '💌 Messages', value: `${stats.totalMessages}`, inline: true },
+            { name: '🖼️ Images', value: `${stats.imagesGenerated}`, inline: true },
+            { name: '💖 Level', value: `${stats.relationshipLevel} · ${current.name}`, inline: true },
+            { name: '✨ XP', value: progress, inline: true },
+            { name: '🔥 Streak', value: `${stats.streak} day(s)`, inline: true },
+            { name: '🌟 Vibe', value: favoriteIntent, inline: true },
+            { name: '📅 Days', value: `${daysSince}`, inline: true },
+            { name: '🏆 Milestones', value: milestones.join('\n') || '—', inline: false }
+        )
+        .setTimestamp();
+}
+
+function createProgressBar(ratio, width = 10) {
+    const filled = Math.round(Math.min(1, Math.max(0, ratio)) * width);
+    return '▰'.repeat(filled) + '▱'.repeat(width - filled);
+}
+
+function createProfileEmbed(persona = personality) {
+    const p = persona.personality;
+    
+    // Only name and description are required by the schema
+    const info = [p.age && `Age: ${p.age}`, p.birthday && `Birthday: ${p.birthday}`].filter(Boolean);
+    const loves = (p.likes || []).slice(0, 3);
+    
+    return new EmbedBuilder()
+        .setColor('#FF69B4')
+        .setTitle(`💖 About ${p.name}`)
+        .setDescription(p.description)
+        .addFields(
+            { name: '✨ Info', value: info.join('\n') || '—', inline: true },
+            { name: '💕 Loves', value: loves.join(', ') || '—', inline: true }
+        )
+        .setTimestamp();
+}
+
+// ============================================================================
+// GUILD SETTINGS
+// ============================================================================
+
+const CHANNEL_MODES = ['chat', 'image', 'keywords', 'ignore'];
+
+let guildSettings = {};
+let guildSaveTimeout = null;
+
+function parseIdList(value) {
+    return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Env channels still work as a global default for every guild
+const ENV_CHANNELS = {
+    chat: parseIdList(process.env.CHAT_CHANNEL_ID),
+    image: parseIdList(process.env.IMAGE_CHANNEL_ID)
+};
+
+async function loadGuildSettings() {
+    try {
+        guildSettings = JSON.parse(await fs.readFile(CONFIG.files.guilds, 'utf8'));
+        console.log(`🏠 Loaded settings for ${Object.keys(guildSettings).length} guild(s)`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Guild settings load error:', error.message);
+        guildSettings = {};
+    }
+}
+
+async function saveGuildSettings() {
+    clearTimeout(guildSaveTimeout);
+    guildSaveTimeout = null;
+    
+    try {
+        await writeFileAtomic(CONFIG.files.guilds, JSON.stringify(guildSettings, null, 2));
+    } catch (error) {
+        console.error('Guild settings save error:', error);
+    }
+}
+
+function debouncedGuildSave() {
+    clearTimeout(guildSaveTimeout);
+    guildSaveTimeout = setTimeout(saveGuildSettings, CONFIG.timeouts.saveDebounce);
+}
+
+function getGuildSettings(guildId) {
+    if (!guildSettings[guildId]) {
+        guildSettings[guildId] = {
+            channels: {},
+            keywordsAnywhere: personality?.misc?.triggerInAnyChannel !== false
+        };
+    }
+    
+    // Persona settings were added later, older guilds.json entries lack them
+    guildSettings[guildId].personas ??= {};
+    guildSettings[guildId].allowedPersonas ??= [];
+    guildSettings[guildId].threadChannels ??= [];
+    return guildSettings[guildId];
+}
+
+function setChannelMode(guildId, channelId, mode) {
+    const settings = getGuildSettings(guildId);
+    
+    if (mode === 'default') {
+        delete settings.channels[channelId];
+    } else {
+        settings.channels[channelId] = mode;
+    }
+    
+    debouncedGuildSave();
+}
+
+// Resolves how the bot behaves in a channel: chat, image, keywords, ignore or none
+function getChannelMode(channel) {
+    if (channel.isDMBased?.()) return CONFIG.dm.enabled ? 'chat' : 'ignore';
+    
+    const ids = [channel.id, channel.isThread?.() ? channel.parentId : null].filter(Boolean);
+    const settings = channel.guildId ? guildSettings[channel.guildId] : null;
+    
+    for (const id of ids) {
+        if (settings?.channels[id]) return settings.channels[id];
+        if (ENV_CHANNELS.chat.includes(id)) return 'chat';
+        if (ENV_CHANNELS.image.includes(id)) return 'image';
+    }
+    
+    const keywordsAnywhere = settings?.keywordsAnywhere ?? personality?.misc?.triggerInAnyChannel !== false;
+    return keywordsAnywhere ? 'keywords' : 'none';
+}
+
+// Personas a user may pick with /persona, an empty allow-list means all of them
+function getAllowedPersonas(guildId) {
+    const allowed = guildId ? guildSettings[guildId]?.allowedPersonas : null;
+    const ids = [...personas.keys()];
+    return allowed?.length ? ids.filter(id => allowed.includes(id)) : ids;
+}
+
+// A channel bound to a persona always uses it, elsewhere the user's pick wins over the server default
+function resolvePersona(userId, channel) {
+    const ids = [channel?.id, channel?.isThread?.() ? channel.parentId : null].filter(Boolean);
+    const settings = channel?.guildId ? guildSettings[channel.guildId] : null;
+    
+    for (const id of ids) {
+        const bound = settings?.personas?.[id];
+        if (personas.has(bound)) return personas.get(bound);
+    }
+    
+    const chosen = findUser(userId)?.activePersona;
+    if (chosen && getAllowedPersonas(channel?.guildId).includes(chosen)) return personas.get(chosen);
+    
+    return getPersona(settings?.persona);
+}
+
+// Passing no persona removes the binding
+function setChannelPersona(guildId, channelId, personaId) {
+    const settings = getGuildSettings(guildId);
+    
+    if (!personaId) {
+        delete settings.personas[channelId];
+    } else {
+        settings.personas[channelId] = personaId;
+    }
+    
+    debouncedGuildSave();
+}
+
+function createChannelSettingsEmbed(guild) {
+    const settings = getGuildSettings(guild.id);
+    const byMode = Object.fromEntries(CHANNEL_MODES.map(mode => [mode, []]));
+    
+    for (const [channelId, mode] of Object.entries(settings.channels)) {
+        byMode[mode]?.push(`<#${channelId}>`);
+    }
+    
+    const bindings = Object.entries(settings.personas)
+        .map(([channelId, id]) => `<#${channelId}> → ${getPersonaName(getPersona(id))}`);
+    const allowed = settings.allowedPersonas.length > 0 ? settings.allowedPersonas.join(', ') : 'all';
+    
+    const describe = (mode, fallback = []) => {
+        const list = byMode[mode].length > 0 ? byMode[mode] : fallback.map(id => `<#${id}> *(env)*`);
+        return list.length > 0 ? list.join(', ').substring(0, 1024) : '—';
+    };
+    
+    return new EmbedBuilder()
+        .setColor('#FF69B4')
+        .setTitle(`⚙️ Channel settings for ${guild.name}`)
+        .addFields(
+            { name: '💬 Chat', value: describe('chat', ENV_CHANNELS.chat), inline: true },
+            { name: '🖼️ Image', value: describe('image', ENV_CHANNELS.image), inline: true },
+            { name: '🔑 Keywords only', value: describe('keywords'), inline: true },
+            { name: '🚫 Ignored', value: describe('ignore'), inline: true },
+            { name: '🌐 Keywords in other channels', value: settings.keywordsAnywhere ? 'on' : 'off', inline: true },
+            { name: '🎭 Server persona', value: getPersonaName(getPersona(settings.persona)), inline: true },
+            { name: '🎭 Persona channels', value: bindings.join('\n').substring(0, 1024) || '—', inline: true },
+            { name: '🎭 Users may pick', value: allowed.substring(0, 1024), inline: true },
+            { name: '🛡️ Mod log', value: settings.modLogChannel ? `<#${settings.modLogChannel}>` : '—', inline: true },
+            { name: '🧵 Thread per conversation', value: settings.threadChannels.map(id => `<#${id}>`).join(', ').substring(0, 1024) || '—', inline: true }
+        )
+        .setTimestamp();
+}
+
+// ============================================================================
+// DIRECT MESSAGES
+// ============================================================================
+
+// When each refused user was last told why, so repeated DMs are ignored quietly
+const dmNotices = new Map();
+
+// Why a user may not DM the persona, or null if they may
+async function getDmRefusal(userId, persona) {
+    if (await isOwner(userId)) return null;
+    if (CONFIG.dm.blockedUsers.includes(userId)) return 'blocked';
+    if (CONFIG.dm.allowedUsers.includes(userId)) return null;
+    
+    if (CONFIG.dm.allowedGuilds.length > 0) {
+        const memberships = await Promise.all(CONFIG.dm.allowedGuilds.map(guildId =>
+            client.guilds.cache.get(guildId)?.members.fetch(userId).then(() => true, () => false)
+        ));
+        if (!memberships.some(Boolean)) return 'notMember';
+    }
+    
+    const userData = findUser(conversationKey(userId, persona.id));
+    if (userData) refreshProgress(userData);
+    if ((userData?.userStats.relationshipLevel || 1) < CONFIG.dm.minLevel) return 'level';
+    
+    return null;
+}
+
+// Checks a DM against the access rules, answering refused users once per noticeInterval
+async function allowDirectMessage(message, userId, userName, persona) {
+    const refusal = await getDmRefusal(userId, persona);
+    if (!refusal) return true;
+    
+    const now = Date.now();
+    for (const [id, time] of dmNotices) {
+        if (now - time > CONFIG.dm.noticeInterval) dmNotices.delete(id);
+    }
+    if (refusal === 'blocked' || dmNotices.has(userId)) return false;
+    dmNotices.set(userId, now);
+    
+    const lang = getUserLanguage(userId);
+    const level = getProgression(persona).levels[CONFIG.dm.minLevel - 1];
+    const reply = refusal === 'level'
+        ? getCustomResponse('dmLocked', userName, lang, persona) || "Let's get to know each other in the server first~ 💕"
+        : getCustomResponse('dmDenied', userName, lang, persona) || "Sorry, I can only chat with you in the server~ 💕";
+    
+    await message.reply(reply
+        .replace(/{level}/gi, CONFIG.dm.minLevel)
+        .replace(/{name}/gi, level?.name || '')).catch(console.error);
+    return false;
+}
+
+// ============================================================================
+// GROUP CHANNELS & THREADS
+// ============================================================================
+
+// Messages a message replies to, nearest first, up to depth of them
+async function fetchReplyChain(message, depth = CONFIG.groupContext.replyDepth) {
+    const chain = [];
+    let current = message;
+    
+    while (current?.reference?.messageId && chain.length < depth) {
+        try {
+            current = await current.fetchReference();
+        } catch (error) {
+            // Deleted messages end the chain
+            if (error.code !== 10008) console.error('Error fetching replied message:', error.message);
+            break;
+        }
+        chain.push(current);
     }
     
-    conversations[userId].userName = userName;
-    return conversations[userId];
+    return chain;
 }
 
-function addToConversation(userId, userName, message, response, intent, type = 'chat') {
-    const userData = getUserData(userId, userName);
+function authorName(message, persona) {
+    if (message.author.id === client.user.id) return getPersonaName(persona);
+    return message.member?.displayName || message.author.displayName || message.author.username;
+}
+
+// One line per message, with who the bot was answering, redacted like any other input
+function describeChannelMessage(message, persona) {
+    const text = moderateText(message.content, 'input', message.channel);
+    if (text.refused || !text.text.trim()) return null;
     
-    // Trim message for memory
-    const trimmedMsg = message.length > 200 ? message.substring(0, 200) + '...' : message;
-    const trimmedRes = response.length > 300 ? response.substring(0, 300) + '...' : response;
+    const repliedTo = message.author.id === client.user.id ? message.mentions?.repliedUser : null;
+    const to = repliedTo ? ` (to ${repliedTo.displayName || repliedTo.username})` : '';
+    return `${authorName(message, persona)}${to}: ${shorten(text.text.replace(/\s+/g, ' '), CONFIG.groupContext.maxChars)}`;
+}
+
+// System prompt lines describing what else is going on in a server channel: the reply chain of
+// the message and recent messages from other people. The user's own exchanges with the bot are
+// already in their history and left out
+async function getGroupContext(message, userId, persona, replyChain = []) {
+    if (!CONFIG.groupContext.enabled || message.channel.isDMBased()) return [];
     
-    userData.conversationHistory.push({
-        timestamp: new Date().toISOString(),
-        type,
-        userMessage: trimmedMsg,
-        botResponse: trimmedRes,
-        intent
-    });
+    const lines = [];
+    const userName = authorName(message, persona);
     
-    userData.lastMessage = new Date().toISOString();
-    userData.messageCount++;
-    userData.userStats.totalMessages++;
+    const nearest = replyChain[replyChain.length - 1];
+    const chain = nearest
+        ? [...replyChain, ...await fetchReplyChain(nearest, CONFIG.groupContext.replyDepth - replyChain.length)]
+        : [];
+    const chainLines = [...chain].reverse().map(m => describeChannelMessage(m, persona)).filter(Boolean);
+    if (chainLines.length > 0) {
+        lines.push(`\n${userName} IS REPLYING TO (oldest first):`, ...chainLines);
+    }
     
-    if (intent) {
-        userData.userStats.favoriteIntents[intent] = 
-            (userData.userStats.favoriteIntents[intent] || 0) + 1;
+    let recent = [];
+    try {
+        const fetched = await message.channel.messages.fetch({ limit: CONFIG.groupContext.messages, before: message.id });
+        const since = Date.now() - CONFIG.groupContext.maxAgeMinutes * 60000;
+        const inChain = new Set(chain.map(m => m.id));
+        
+        recent = [...fetched.values()]
+            .filter(m => m.createdTimestamp >= since && !inChain.has(m.id))
+            .filter(m => m.author.id !== userId && (m.author.id !== client.user.id || m.mentions?.repliedUser?.id !== userId))
+            .filter(m => !m.author.bot || m.author.id === client.user.id)
+            .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    } catch (error) {
+        console.error('Channel context error:', error.message);
+    }
+    
+    const recentLines = recent.map(m => describeChannelMessage(m, persona)).filter(Boolean);
+    if (recentLines.length > 0) {
+        lines.push(
+            `\nRECENT MESSAGES FROM OTHER PEOPLE IN THIS CHANNEL (oldest first):`,
+            ...recentLines,
+            `You are answering ${userName}. Others may be talking to you too: don't mix up who said what.`
+        );
     }
     
-    // Level up
-    const newLevel = Math.floor(userData.userStats.totalMessages / 10) + 1;
-    if (newLevel > userData.userStats.relationshipLevel) {
-        userData.userStats.relationshipLevel = newLevel;
-        userData.userStats.specialMoments.push({
-            type: 'level_up',
-            level: newLevel,
-            timestamp: new Date().toISOString()
+    return lines;
+}
+
+// Channels set with /channel threads, threads themselves never start new ones
+function usesThreads(channel) {
+    if (!channel.guildId || channel.isThread()) return false;
+    return Boolean(guildSettings[channel.guildId]?.threadChannels?.includes(channel.id));
+}
+
+// Each user's open thread in a thread channel, "<channelId>:<userId>" -> thread id
+const userThreads = new Map();
+
+// The thread a user's earlier message in the channel started, unless it was archived or deleted
+async function findUserThread(channel, userId) {
+    const key = `${channel.id}:${userId}`;
+    const threadId = userThreads.get(key);
+    if (!threadId) return null;
+    
+    const thread = await channel.threads.fetch(threadId).catch(() => null);
+    if (thread && !thread.archived) return thread;
+    
+    userThreads.delete(key);
+    return null;
+}
+
+function forgetThread(threadId) {
+    for (const [key, id] of userThreads) {
+        if (id === threadId) userThreads.delete(key);
+    }
+}
+
+// Continues the user's open thread, or starts one on the message, and returns a stand-in whose
+// replies go there. Returns the message itself when no thread can be used
+async function moveToThread(message, userName, persona) {
+    try {
+        let thread = await findUserThread(message.channel, message.author.id);
+        if (!thread) {
+            const name = CONFIG.threads.name
+                .replace(/{ai}/gi, getPersonaName(persona))
+                .replace(/{user}/gi, userName)
+                .substring(0, 100);
+            thread = await message.startThread({ name, autoArchiveDuration: CONFIG.threads.autoArchiveMinutes });
+            userThreads.set(`${message.channel.id}:${message.author.id}`, thread.id);
+        }
+        
+        return Object.create(message, {
+            channel: { value: thread },
+            channelId: { value: thread.id },
+            reply: { value: options => thread.send(options) }
         });
+    } catch (error) {
+        console.error('Thread creation failed, replying in the channel:', error.message);
+        return message;
+    }
+}
+
+// ============================================================================
+// SCHEDULED MESSAGES
+// ============================================================================
+
+// Events users can opt into. Templates are the trigger-less intents of the persona,
+// the fallback is used when it has none
+const SCHEDULE_EVENTS = {
+    morning: { intent: 'scheduledMorning', label: '☀️ Good morning', fallback: 'Good morning, {user}! ☀️💕' },
+    night: { intent: 'scheduledNight', label: '🌙 Good night', fallback: 'Good night, {user}~ Sweet dreams 🌙💕' },
+    birthday: { intent: 'birthday', label: '🎂 Birthday', fallback: 'Happy birthday, {user}! 🎂💖' },
+    anniversary: { intent: 'anniversary', label: '💞 Anniversary', fallback: '{years} year(s) since we met, {user}~ 💞' },
+    missYou: { intent: 'missYou', label: '🥺 Miss you', fallback: "It's been {days} days, {user}... I miss you 🥺💕" }
+};
+
+let schedules = {};
+let scheduleSaveTimeout = null;
+let schedulerRunning = false;
+
+async function loadSchedules() {
+    try {
+        schedules = JSON.parse(await fs.readFile(CONFIG.files.schedules, 'utf8'));
+        console.log(`⏰ Loaded schedules for ${Object.keys(schedules).length} user(s)`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Schedule load error:', error.message);
+        schedules = {};
+    }
+}
+
+async function saveSchedules() {
+    clearTimeout(scheduleSaveTimeout);
+    scheduleSaveTimeout = null;
+    
+    try {
+        await writeFileAtomic(CONFIG.files.schedules, JSON.stringify(schedules, null, 2));
+    } catch (error) {
+        console.error('Schedule save error:', error);
+    }
+}
+
+function debouncedScheduleSave() {
+    clearTimeout(scheduleSaveTimeout);
+    scheduleSaveTimeout = setTimeout(saveSchedules, CONFIG.timeouts.saveDebounce);
+}
+
+// Events maps each enabled event to its local "HH:MM" time, delivery is "dm" or a guild channel
+function getSchedule(userId) {
+    schedules[userId] ??= {
+        timezone: 'UTC',
+        persona: DEFAULT_PERSONA_ID,
+        delivery: 'dm',
+        events: {},
+        birthday: null,
+        quietHours: null,
+        lastSent: {}
+    };
+    // Reminders set by the set_reminder tool: { id, text, dueAt, delivery, persona }
+    schedules[userId].reminders ??= [];
+    return schedules[userId];
+}
+
+function deleteSchedule(userId) {
+    if (!schedules[userId]) return false;
+    delete schedules[userId];
+    debouncedScheduleSave();
+    return true;
+}
+
+// Canonical IANA name ("europe/paris" -> "Europe/Paris"), or null if unknown
+function normalizeTimeZone(timeZone) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch {
+        return null;
     }
+}
+
+function localTime(timeZone, date = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        year: Number(parts.year),
+        monthDay: `${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+// "8:30" or "20:05" -> minutes since midnight
+function parseClock(text) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(text?.trim() || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// "MM-DD", checked against a leap year so 02-29 is accepted
+function parseMonthDay(text) {
+    const match = /^(\d{1,2})-(\d{1,2})$/.exec(text?.trim() || '');
+    if (!match) return null;
+    
+    const date = new Date(Date.UTC(2000, match[1] - 1, match[2]));
+    return date.getUTCMonth() === match[1] - 1 && date.getUTCDate() === Number(match[2])
+        ? date.toISOString().slice(5, 10)
+        : null;
+}
+
+// Feb 29 dates are celebrated on Feb 28 in other years
+function isSameDay(monthDay, local) {
+    if (monthDay === local.monthDay) return true;
+    const leap = new Date(Date.UTC(local.year, 1, 29)).getUTCDate() === 29;
+    return monthDay === '02-29' && local.monthDay === '02-28' && !leap;
+}
+
+// Quiet hours may wrap past midnight, e.g. 23:00 to 08:00
+function inQuietHours(quietHours, minutes) {
+    if (!quietHours) return false;
+    
+    const start = parseClock(quietHours.start);
+    const end = parseClock(quietHours.end);
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+function previousDay(date) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+}
+
+// Identifies the occurrence of an event that is due now, compared with lastSent so each is sent once
+function dueOccurrence(event, schedule, userData, local, now) {
+    const since = local.minutes - parseClock(schedule.events[event]);
     
-    // Keep only recent history
-    if (userData.conversationHistory.length > CONFIG.limits.conversationHistory) {
-        userData.conversationHistory = userData.conversationHistory.slice(-CONFIG.limits.conversationHistory);
+    switch (event) {
+        case 'morning':
+        case 'night': {
+            // The late window can cross midnight, the occurrence keeps the day it was due
+            if ((since + 1440) % 1440 > CONFIG.schedule.lateMinutes) return null;
+            return since >= 0 ? local.date : previousDay(local.date);
+        }
+        case 'birthday':
+            return since >= 0 && schedule.birthday && isSameDay(schedule.birthday, local) ? local.date : null;
+        case 'anniversary': {
+            if (since < 0 || !userData?.firstMessage) return null;
+            const first = localTime(schedule.timezone, new Date(userData.firstMessage));
+            return first.year < local.year && isSameDay(first.monthDay, local) ? local.date : null;
+        }
+        case 'missYou':
+            // Once per silence, the next one waits until the user has written again
+            if (since < 0 || !userData?.lastMessage) return null;
+            return now - new Date(userData.lastMessage) >= CONFIG.schedule.missYouDays * DAY_MS
+                ? userData.lastMessage
+                : null;
+        default:
+            return null;
     }
+}
+
+function composeScheduledMessage(event, schedule, userData, userName, lang, persona, local, now) {
+    const { intent, fallback } = SCHEDULE_EVENTS[event];
+    const level = userData?.userStats.relationshipLevel || 1;
+    const years = userData ? local.year - localTime(schedule.timezone, new Date(userData.firstMessage)).year : 0;
+    const days = userData ? Math.floor((now - new Date(userData.lastMessage)) / DAY_MS) : 0;
     
-    if (userData.userStats.specialMoments.length > 10) {
-        userData.userStats.specialMoments = userData.userStats.specialMoments.slice(-10);
+    return (getCustomResponse(intent, userName, lang, persona, level) || replacePlaceholders(fallback, userName, persona))
+        .replace(/{years}/gi, years)
+        .replace(/{days}/gi, days);
+}
+
+async function deliverScheduledMessage(userId, schedule, content) {
+    if (schedule.delivery === 'dm') {
+        const user = await client.users.fetch(userId);
+        await user.send(content);
+        return;
     }
     
-    userData.messageCount = userData.conversationHistory.length;
+    const channel = await client.channels.fetch(schedule.delivery.channelId);
+    if (getChannelMode(channel) === 'ignore') throw new Error(`channel ${channel.id} is ignored`);
+    await channel.send({ content: `<@${userId}> ${content}`, allowedMentions: { users: [userId] } });
+}
+
+// Scheduled messages join the history so replies to them make sense, without counting as activity
+function recordScheduledMessage(key, userName, content, event, dm = false) {
+    const userData = getUserData(key, userName);
+    appendHistory(userData, {
+        timestamp: new Date().toISOString(),
+        type: 'scheduled',
+        userMessage: '',
+        botResponse: content.substring(0, CONFIG.limits.maxStoredMessageLength),
+        intent: event,
+        ...(dm && { dm: true })
+    });
     debouncedSave();
 }
 
-function getConversationContext(userId) {
-    const userData = conversations[userId];
-    if (!userData?.conversationHistory.length) return '';
+// Reminders were asked for, so quiet hours don't hold them back
+async function deliverReminders(userId, schedule, now) {
+    const due = (schedule.reminders || []).filter(reminder => new Date(reminder.dueAt) <= now);
+    if (due.length === 0) return;
+    
+    // Removed before sending, like lastSent, so a failed delivery isn't retried every minute
+    schedule.reminders = schedule.reminders.filter(reminder => !due.includes(reminder));
+    debouncedScheduleSave();
     
-    return userData.conversationHistory
-        .slice(-CONFIG.limits.conversationContext)
-        .map(e => `User: ${e.userMessage}\n${personality.personality.name}: ${e.botResponse}`)
-        .join('\n---\n');
+    for (const reminder of due) {
+        const persona = getPersona(reminder.persona);
+        const key = conversationKey(userId, persona.id);
+        const userName = findUser(key)?.userName || schedule.userName || 'friend';
+        const content = (getCustomResponse('reminder', userName, getUserLanguage(key), persona) ||
+                         replacePlaceholders('⏰ {user}, you asked me to remind you: {text} 💕', userName, persona))
+            .replace(/{text}/gi, reminder.text);
+        
+        try {
+            await deliverScheduledMessage(userId, reminder, content);
+            recordScheduledMessage(key, userName, content, 'reminder', reminder.delivery === 'dm');
+        } catch (error) {
+            console.error(`Reminder for ${userId} failed:`, error.message);
+        }
+    }
 }
 
-async function cleanupOldConversations() {
-    const threshold = new Date(Date.now() - CONFIG.limits.conversationRetentionDays * 24 * 60 * 60 * 1000);
-    let totalDeleted = 0;
+async function runUserSchedule(userId, schedule, now) {
+    await deliverReminders(userId, schedule, now);
     
-    for (const userId in conversations) {
-        const userData = conversations[userId];
-        const originalCount = userData.conversationHistory?.length || 0;
+    const local = localTime(schedule.timezone, now);
+    if (inQuietHours(schedule.quietHours, local.minutes)) return;
+    
+    const persona = getPersona(schedule.persona);
+    const key = conversationKey(userId, persona.id);
+    const userData = findUser(key);
+    if (userData) refreshProgress(userData);
+    
+    for (const event of Object.keys(schedule.events)) {
+        const occurrence = dueOccurrence(event, schedule, userData, local, now);
+        if (!occurrence || schedule.lastSent[event] === occurrence) continue;
         
-        if (userData.conversationHistory) {
-            userData.conversationHistory = userData.conversationHistory.filter(e => 
-                new Date(e.timestamp) >= threshold
-            );
-            
-            totalDeleted += originalCount - userData.conversationHistory.length;
-            userData.messageCount = userData.conversationHistory.length;
-        }
+        // Marked before sending so a user with closed DMs isn't retried every minute
+        schedule.lastSent[event] = occurrence;
+        debouncedScheduleSave();
         
-        if (userData.userStats?.specialMoments) {
-            userData.userStats.specialMoments = userData.userStats.specialMoments.filter(m =>
-                new Date(m.timestamp) >= threshold
-            );
+        const userName = userData?.userName || schedule.userName || 'friend';
+        const lang = getUserLanguage(key);
+        const content = composeScheduledMessage(event, schedule, userData, userName, lang, persona, local, now);
+        
+        try {
+            await deliverScheduledMessage(userId, schedule, content);
+            recordScheduledMessage(key, userName, content, event, schedule.delivery === 'dm');
+        } catch (error) {
+            console.error(`Scheduled ${event} for ${userId} failed:`, error.message);
         }
     }
+}
+
+// Runs every minute, a slow delivery never overlaps with the next run
+async function runScheduledJobs(now = new Date()) {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
     
-    if (totalDeleted > 0) {
-        console.log(`🧹 Cleaned ${totalDeleted} old messages`);
-        await saveConversations();
+    try {
+        for (const [userId, schedule] of Object.entries(schedules)) {
+            await runUserSchedule(userId, schedule, now)
+                .catch(error => console.error(`Schedule error (${userId}):`, error));
+        }
+    } finally {
+        schedulerRunning = false;
     }
+}
+
+function createScheduleEmbed(userId) {
+    const schedule = schedules[userId];
+    const events = Object.entries(SCHEDULE_EVENTS).map(([event, { label }]) => {
+        const time = schedule?.events[event];
+        return `${label}: ${time ? `**on** at ${time}` : 'off'}`;
+    });
+    
+    const delivery = !schedule || schedule.delivery === 'dm' ? 'DMs' : `<#${schedule.delivery.channelId}>`;
+    const quiet = schedule?.quietHours ? `${schedule.quietHours.start} – ${schedule.quietHours.end}` : '—';
+    const reminders = (schedule?.reminders || [])
+        .map(reminder => `<t:${Math.floor(new Date(reminder.dueAt) / 1000)}:R> ${reminder.text}`);
     
-    return { totalDeleted };
+    return new EmbedBuilder()
+        .setColor('#FF69B4')
+        .setTitle('⏰ Your scheduled messages')
+        .setDescription(events.join('\n'))
+        .addFields(
+            { name: '🌍 Timezone', value: schedule?.timezone || 'UTC', inline: true },
+            { name: '📬 Delivery', value: delivery, inline: true },
+            { name: '🎭 Persona', value: getPersonaName(getPersona(schedule?.persona)), inline: true },
+            { name: '🎂 Birthday', value: schedule?.birthday || '—', inline: true },
+            { name: '🤫 Quiet hours', value: quiet, inline: true },
+            { name: '🥺 Miss you after', value: `${CONFIG.schedule.missYouDays} day(s)`, inline: true },
+            { name: '📝 Reminders', value: reminders.join('\n').substring(0, 1024) || '—', inline: false }
+        )
+        .setFooter({ text: CONFIG.schedule.enabled ? 'Times are in your timezone' : 'Scheduled messages are turned off on this bot' })
+        .setTimestamp();
 }
 
 // ============================================================================
-// IMAGE GENERATION (OPTIMIZED)
+// TOOLS
 // ============================================================================
 
-async function generateImage(prompt) {
+// Local functions the AI can call mid-conversation. parameters(persona) returns the JSON schema of
+// the arguments, tools without any leave it out since Gemini rejects empty object schemas. run()
+// receives the parsed arguments and the context { key, channel, userId, userName, persona, lang, scope },
+// and resolves to a JSON-able result for the AI; thrown errors are reported back to it as { error }
+const TOOLS = {
+    generate_image: {
+        description: 'Draw a picture and post it in the chat. Use it when the user asks for a picture or a selfie, or when showing one fits the moment.',
+        parameters: persona => ({
+            type: 'object',
+            properties: {
+                prompt: { type: 'string', description: 'What to draw, in English' },
+                style: { type: 'string', enum: Object.keys(getImageStyles(persona).styles) },
+                aspect: { type: 'string', enum: IMAGE_ASPECTS }
+            },
+            required: ['prompt']
+        }),
+        async run({ prompt, style, aspect }, { channel, userId, userName, persona, lang, key }) {
+            if (!prompt?.trim()) throw new Error('prompt is required');
+            
+            const limited = consumeRateLimit({ userId, channelId: channel.id, guildId: channel.guildId }, CONFIG.rateLimits.imageCost);
+            if (limited) throw new Error('too many images right now, try again in a minute');
+            
+            const request = buildImageRequest({ prompt, style, aspect }, persona, channel);
+            const checked = screenText(request.prompt, 'image', { userId, channel });
+            if (checked.refused) throw new Error('this picture is not allowed here');
+            request.prompt = checked.text;
+            
+            const result = await generateImage(request);
+            if (!result) throw new Error('image generation failed');
+            
+            await channel.send(createImageReply(result, request, userName, lang, persona));
+            const userData = getUserData(key, userName);
+            userData.userStats.imagesGenerated++;
+            awardXp(userData, 'image');
+            return { sent: true, style: request.style, seed: request.seed };
+        }
+    },
+    
+    get_stats: {
+        description: "Look up your relationship with the user: level, XP, streak, message and image counts, and when you met.",
+        async run(args, { key, userName }) {
+            const userData = getUserData(key, userName);
+            const stats = userData.userStats;
+            const current = levelFor(stats.xp, refreshProgress(userData).levels);
+            
+            return {
+                level: stats.relationshipLevel,
+                levelName: current.name,
+                xp: stats.xp,
+                nextLevelXp: current.next?.xp ?? null,
+                streakDays: stats.streak,
+                messages: stats.totalMessages,
+                images: stats.imagesGenerated,
+                firstMessage: userData.firstMessage
+            };
+        }
+    },
+    
+    set_reminder: {
+        description: "Remind the user of something later. Give either minutes from now or a local time of day.",
+        parameters: () => ({
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'What to remind them of' },
+                minutes: { type: 'integer', description: 'Minutes from now' },
+                time: { type: 'string', description: 'Local time of day as HH:MM, in the user\'s timezone' }
+            },
+            required: ['text']
+        }),
+        async run({ text, minutes, time }, { channel, userId, userName, persona }) {
+            if (!CONFIG.schedule.enabled) throw new Error('reminders are turned off on this bot');
+            if (!text?.trim()) throw new Error('text is required');
+            
+            const schedule = getSchedule(userId);
+            if (schedule.reminders.length >= CONFIG.tools.maxReminders) throw new Error('too many reminders already set');
+            
+            let delay = Number(minutes);
+            if (time !== undefined) {
+                const clock = parseClock(String(time));
+                if (clock === null) throw new Error('time must be HH:MM');
+                // The next time the clock shows it, tomorrow if it already passed today
+                delay = (clock - localTime(schedule.timezone).minutes + 1440) % 1440 || 1440;
+            }
+            if (!Number.isFinite(delay) || delay < 1 || delay > CONFIG.tools.maxReminderDays * 1440) {
+                throw new Error(`minutes must be between 1 and ${CONFIG.tools.maxReminderDays * 1440}`);
+            }
+            
+            const dueAt = new Date(Date.now() + Math.round(delay) * 60000).toISOString();
+            schedule.reminders.push({
+                id: crypto.randomUUID(),
+                text: text.trim().substring(0, 200),
+                dueAt,
+                delivery: channel.isDMBased() ? 'dm' : { guildId: channel.guildId, channelId: channel.id },
+                persona: persona.id
+            });
+            schedule.userName = userName;
+            debouncedScheduleSave();
+            
+            return { scheduled: true, inMinutes: Math.round(delay), timezone: schedule.timezone };
+        }
+    },
+    
+    remember_fact: {
+        description: 'Save something important the user told you about themselves, so you remember it in later chats.',
+        parameters: () => ({
+            type: 'object',
+            properties: {
+                fact: { type: 'string', description: 'A short sentence about the user, e.g. "Has a cat named Mochi"' },
+                category: { type: 'string', enum: FACT_CATEGORIES }
+            },
+            required: ['fact']
+        }),
+        async run({ fact, category }, { key, userId, userName, scope }) {
+            if (!fact?.trim()) throw new Error('fact is required');
+            // Nothing from an opted-out user's messages is written to disk
+            if (isOptedOut(userId)) return { saved: false, reason: 'opted out' };
+            
+            // Facts learned in DMs stay private, like the ones extracted from chat
+            const saved = addFact(getUserData(key, userName), fact, category, 'extracted', scope.dm);
+            return saved ? { saved: true } : { saved: false, reason: 'already known or too short' };
+        }
+    },
+    
+    roll_dice: {
+        description: 'Roll dice written like "2d6+1", for games and decisions.',
+        parameters: () => ({
+            type: 'object',
+            properties: {
+                notation: { type: 'string', description: 'NdM+K, defaults to 1d6' }
+            }
+        }),
+        async run({ notation = '1d6' }) {
+            const match = /^(\d*)d(\d+)([+-]\d+)?$/i.exec(String(notation).replace(/\s+/g, ''));
+            if (!match) throw new Error('notation must look like 2d6+1');
+            
+            const count = Number(match[1] || 1);
+            const sides = Number(match[2]);
+            if (count < 1 || count > CONFIG.tools.maxDice) throw new Error(`roll 1 to ${CONFIG.tools.maxDice} dice`);
+            if (sides < 2 || sides > CONFIG.tools.maxSides) throw new Error(`dice have 2 to ${CONFIG.tools.maxSides} sides`);
+            
+            const rolls = Array.from({ length: count }, () => crypto.randomInt(1, sides + 1));
+            const modifier = Number(match[3] || 0);
+            return { rolls, modifier, total: rolls.reduce((sum, roll) => sum + roll, modifier) };
+        }
+    },
+    
+    pick_random: {
+        description: 'Pick one option at random, when the user can\'t decide.',
+        parameters: () => ({
+            type: 'object',
+            properties: {
+                options: { type: 'array', items: { type: 'string' }, description: 'At least two options' }
+            },
+            required: ['options']
+        }),
+        async run({ options }) {
+            const choices = (Array.isArray(options) ? options : []).map(String).filter(option => option.trim());
+            if (choices.length < 2) throw new Error('give at least two options');
+            return { picked: choices[crypto.randomInt(choices.length)] };
+        }
+    }
+};
+
+// Added to the system prompt whenever tools are offered
+const TOOL_INSTRUCTION = "You can use tools to draw pictures, set reminders and more. Use them only when they help, and talk about the result naturally without naming the tool.";
+
+function getToolDefinitions(persona = personality) {
+    return Object.entries(TOOLS)
+        .filter(([name]) => !CONFIG.tools.disabled.includes(name))
+        .map(([name, tool]) => ({
+            name,
+            description: tool.description,
+            ...(tool.parameters && { parameters: tool.parameters(persona) })
+        }));
+}
+
+async function runTool(call, context) {
+    const tool = CONFIG.tools.disabled.includes(call.name) ? null : TOOLS[call.name];
+    let result;
+    
     try {
-        const cleanPrompt = prompt.replace(/\b(sexy|hot|nude|naked|nsfw|sexual)\b/gi, 'beautiful');
-        const enhancedPrompt = `${cleanPrompt}, anime style, high quality`;
-        const encodedPrompt = encodeURIComponent(enhancedPrompt);
-        
-        const imageUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=512&height=512&nologo=true`;
-        
-        const response = await axios.get(imageUrl, {
-            responseType: 'arraybuffer',
-            timeout: 15000,
-            maxContentLength: 5 * 1024 * 1024 // 5MB limit
+        if (!tool) throw new Error(`unknown tool ${call.name}`);
+        result = await tool.run(call.arguments, context);
+    } catch (error) {
+        result = { error: error.message };
+    }
+    
+    console.log(`🛠️ ${call.name} for ${context.userName}${result.error ? ` failed: ${result.error}` : ''}`);
+    context.calls?.push({ call, result });
+    return result;
+}
+
+// Tool calls join the history with their own type, in the DM or thread they happened in. They are
+// recorded after the exchange that asked for them, so the next prompt doesn't show them before it
+function recordToolCalls(key, userName, calls, scope) {
+    if (calls.length === 0) return;
+    
+    const userData = getUserData(key, userName);
+    for (const { call, result } of calls) {
+        appendHistory(userData, {
+            timestamp: new Date().toISOString(),
+            type: 'tool',
+            userMessage: JSON.stringify(call.arguments).substring(0, CONFIG.limits.maxStoredMessageLength),
+            botResponse: JSON.stringify(result).substring(0, CONFIG.limits.maxStoredMessageLength),
+            intent: call.name,
+            ...(scope.dm && { dm: true }),
+            ...(scope.thread && { thread: scope.thread })
         });
+    }
+    debouncedSave();
+}
+
+// Runs the tools the AI asks for until it answers in text. The last round offers none
+// so a reply always comes back. Every call gets a result, even past maxCallsPerRound
+async function completeWithTools(messages, context, onProgress) {
+    const functions = getToolDefinitions(context.persona);
+    
+    for (let round = 0; round < CONFIG.tools.maxRounds; round++) {
+        const { content, toolCalls } = await completeWithProviders(messages, { onProgress, functions });
+        if (toolCalls.length === 0) return content;
         
-        return Buffer.from(response.data);
-    } catch (error) {
-        console.error('Image error:', error.message);
-        return null;
+        messages.push({ role: 'assistant', content, toolCalls });
+        for (const [i, call] of toolCalls.entries()) {
+            const result = i < CONFIG.tools.maxCallsPerRound
+                ? await runTool(call, context)
+                : { error: 'too many tool calls at once' };
+            messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) });
+        }
     }
+    
+    const { content } = await completeWithProviders(messages, { onProgress, functions, toolChoice: 'none' });
+    return content;
 }
 
 // ============================================================================
-// EMBED CREATORS (LIGHTWEIGHT)
+// RATE LIMITING
 // ============================================================================
 
-function createStatsEmbed(userId, userName) {
-    const userData = conversations[userId];
-    if (!userData) return null;
+class TokenBucket {
+    constructor({ capacity, refillPerMinute }) {
+        this.capacity = capacity;
+        this.refillPerMs = refillPerMinute / 60000;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+        this.warnedAt = 0;
+    }
+    
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+    
+    // Milliseconds until `cost` tokens are available, 0 when they already are
+    waitTime(cost = 1) {
+        this.refill();
+        if (this.tokens >= cost) return 0;
+        return Math.ceil((Math.min(cost, this.capacity) - this.tokens) / this.refillPerMs);
+    }
+    
+    take(cost = 1) {
+        this.refill();
+        this.tokens -= cost;
+    }
+    
+    give(cost = 1) {
+        this.refill();
+        this.tokens = Math.min(this.capacity, this.tokens + cost);
+    }
+    
+    // True once per interval, so a spammer gets one warning instead of one per message
+    claimWarning(interval) {
+        if (Date.now() - this.warnedAt < interval) return false;
+        this.warnedAt = Date.now();
+        return true;
+    }
+    
+    isIdle() {
+        this.refill();
+        return this.tokens >= this.capacity;
+    }
+}
 
-    const stats = userData.userStats;
-    const favoriteIntent = Object.keys(stats.favoriteIntents).length > 0 
-        ? Object.keys(stats.favoriteIntents).reduce((a, b) => 
-            stats.favoriteIntents[a] > stats.favoriteIntents[b] ? a : b)
-        : 'random';
+const rateBuckets = new Map();
+const userQueues = new Map();
+
+function getBucket(scope, id) {
+    const key = `${scope}:${id}`;
+    if (!rateBuckets.has(key)) rateBuckets.set(key, new TokenBucket(CONFIG.rateLimits[scope]));
+    return rateBuckets.get(key);
+}
+
+function getBuckets({ userId, channelId, guildId }) {
+    return [['user', userId], ['channel', channelId], ['guild', guildId]]
+        .filter(([, id]) => id)
+        .map(([scope, id]) => getBucket(scope, id));
+}
+
+// Charges the user, channel and guild buckets together, or none of them. Returns null
+// when allowed, otherwise the bucket that ran out
+function consumeRateLimit(ids, cost = 1) {
+    if (!CONFIG.rateLimits.enabled) return null;
     
-    const daysSince = Math.floor((new Date() - new Date(userData.firstMessage)) / (1000 * 60 * 60 * 24));
+    const buckets = getBuckets(ids);
+    
+    const limited = buckets.find(bucket => bucket.waitTime(cost) > 0);
+    if (limited) return limited;
+    
+    buckets.forEach(bucket => bucket.take(cost));
+    return null;
+}
 
-    return new EmbedBuilder()
-        .setColor('#FF69B4')
-        .setTitle(`💖 ${userName}'s Journey with ${personality.personality.name}`)
-        .addFields(
-            { name: '💌 Messages', value: `${stats.totalMessages}`, inline: true },
-            { name: '🖼️ Images', value: `${stats.imagesGenerated}`, inline: true },
-            { name: '💖 Level', value: `${stats.relationshipLevel}`, inline: true },
-            { name: '🌟 Vibe', value: favoriteIntent, inline: true },
-            { name: '📅 Days', value: `${daysSince}`, inline: true }
-        )
-        .setTimestamp();
+// Gives back what consumeRateLimit() charged, for requests that were turned away anyway
+function refundRateLimit(ids, cost = 1) {
+    if (!CONFIG.rateLimits.enabled) return;
+    getBuckets(ids).forEach(bucket => bucket.give(cost));
 }
 
-function createProfileEmbed() {
-    const p = personality.personality;
+// An image cost above a bucket's capacity could never be paid, it is capped at the smallest one
+function checkRateLimitConfig() {
+    const smallest = Math.min(...['user', 'channel', 'guild'].map(scope => CONFIG.rateLimits[scope].capacity));
+    if (CONFIG.rateLimits.imageCost <= smallest) return;
     
-    return new EmbedBuilder()
-        .setColor('#FF69B4')
-        .setTitle(`💖 About ${p.name}`)
-        .setDescription(p.description)
-        .addFields(
-            { name: '✨ Info', value: `Age: ${p.age}\nBirthday: ${p.birthday}`, inline: true },
-            { name: '💕 Loves', value: p.likes.slice(0, 3).join(', '), inline: true }
-        )
-        .setTimestamp();
+    console.warn(`⚠️ Image cost ${CONFIG.rateLimits.imageCost} is above the smallest bucket capacity, using ${smallest}`);
+    CONFIG.rateLimits.imageCost = smallest;
+}
+
+// Runs one generation per user at a time. Returns null when too many are already waiting.
+function runForUser(userId, task) {
+    const queue = userQueues.get(userId) || { size: 0, tail: Promise.resolve() };
+    if (CONFIG.rateLimits.enabled && queue.size >= CONFIG.rateLimits.maxQueuedPerUser) return null;
+    
+    queue.size++;
+    userQueues.set(userId, queue);
+    
+    const run = queue.tail.then(task).finally(() => {
+        if (--queue.size === 0) userQueues.delete(userId);
+    });
+    queue.tail = run.catch(() => {});
+    return run;
+}
+
+// Full buckets behave exactly like new ones, so they can be dropped
+function pruneRateLimits() {
+    for (const [key, bucket] of rateBuckets) {
+        if (bucket.isIdle()) rateBuckets.delete(key);
+    }
 }
 
 // ============================================================================
@@ -675,11 +4646,17 @@ client.on('ready', async () => {
     console.log(`💕 ${personality.personality.name} online as ${client.user.tag}`);
     
     await loadConversations();
+    await registerSlashCommands();
     updateActivity();
     
     setInterval(updateActivity, CONFIG.intervals.activityUpdate);
     setInterval(saveConversations, CONFIG.intervals.autoSave);
     setInterval(cleanupOldConversations, CONFIG.intervals.cleanup);
+    setInterval(pruneRateLimits, CONFIG.intervals.cleanup);
+    
+    if (CONFIG.schedule.enabled) {
+        setInterval(runScheduledJobs, CONFIG.schedule.tick);
+    }
     
     if (LOW_MEMORY) {
         setInterval(checkMemoryPressure, CONFIG.intervals.memoryCheck);
@@ -692,71 +4669,167 @@ client.on('ready', async () => {
 client.on('messageCreate', async (message) => {
     if (message.author.bot) return;
 
-    const chatChannelId = process.env.CHAT_CHANNEL_ID;
-    const imageChannelId = process.env.IMAGE_CHANNEL_ID;
+    const channelMode = getChannelMode(message.channel);
+    if (channelMode === 'ignore') return;
+    
     const userId = message.author.id;
     const userName = message.author.displayName || message.author.username;
+    const persona = resolvePersona(userId, message.channel);
     
-    const isInChatChannel = message.channel.id === chatChannelId;
-    const isInImageChannel = message.channel.id === imageChannelId;
-    const hasKeyword = containsKeywords(message.content);
+    if (message.channel.isDMBased() && !await allowDirectMessage(message, userId, userName, persona)) return;
     
-    // Check if message is a reply to the bot
-    const isReplyToBot = message.reference && message.reference.messageId;
-    let isBotMessage = false;
+    const isInChatChannel = channelMode === 'chat';
+    const isInImageChannel = channelMode === 'image';
+    const hasKeyword = channelMode === 'keywords' && containsKeywords(message.content, persona);
     
-    if (isReplyToBot) {
-        try {
-            const repliedMessage = await message.channel.messages.fetch(message.reference.messageId);
-            isBotMessage = repliedMessage.author.id === client.user.id;
-        } catch (error) {
-            console.error('Error fetching replied message:', error);
-        }
-    }
+    // Only the replied message for now, the rest of the chain is fetched if the bot answers
+    const replyChain = await fetchReplyChain(message, 1);
+    const isBotMessage = replyChain[0]?.author.id === client.user.id;
     
     // Respond if: in chat channel, in image channel, has keyword, OR is reply to bot
     if (!isInChatChannel && !isInImageChannel && !hasKeyword && !isBotMessage) return;
     
-    if (isInChatChannel || (!isInImageChannel && hasKeyword) || isBotMessage) {
-        await handleChatMessage(message, userId, userName);
-    } else if (isInImageChannel) {
-        await handleImageRequest(message, userId, userName);
+    const wantsImage = isInImageChannel && !isBotMessage;
+    const cost = wantsImage ? CONFIG.rateLimits.imageCost : 1;
+    const ids = { userId, channelId: message.channelId, guildId: message.guildId };
+    const limited = consumeRateLimit(ids, cost);
+    
+    const run = limited ? null : runForUser(userId, () => wantsImage
+        ? handleImageRequest(message, userId, userName, persona)
+        : handleChatMessage(message, userId, userName, persona, replyChain));
+    // A full queue turns the message away, it isn't charged for
+    if (!limited && !run) refundRateLimit(ids, cost);
+    
+    if (run) {
+        await run;
+        return;
+    }
+    
+    // Over the limit or queue full: warn once, then ignore quietly
+    const bucket = limited || getBucket('user', userId);
+    if (bucket.claimWarning(CONFIG.rateLimits.warnInterval)) {
+        const reply = getCustomResponse('slowDown', userName, getUserLanguage(userId), persona) ||
+                      "Slow down a little~ Let me catch my breath! 💕";
+        await message.reply(reply).catch(console.error);
     }
 });
 
-async function handleChatMessage(message, userId, userName) {
+// replyChain holds the messages this one replies to, nearest first
+async function handleChatMessage(message, userId, userName, persona = personality, replyChain = []) {
+    // Language preferences live on the user's base record, history on the persona's
+    const key = conversationKey(userId, persona.id);
+    
+    if (usesThreads(message.channel)) {
+        message = await moveToThread(message, userName, persona);
+    }
+    
+    const context = { userId, channel: message.channel };
+    const inDm = message.channel.isDMBased();
+    // DM and thread exchanges are kept apart from the rest of the history
+    const scope = { dm: inDm, thread: message.channel.isThread() ? message.channel.id : null };
+    
     try {
         await message.channel.sendTyping();
         
-        const lang = detectLanguage(message.content);
-        const intent = detectIntent(message.content);
+        const lang = resolveLanguage(userId, userName, message.content);
+        const attachments = await readAttachments(message);
+        
+        // Redacted input is what gets stored and sent to the AI
+        const inbound = screenText(message.content, 'input', context);
+        const files = attachments.text ? screenText(attachments.text, 'input', context) : null;
+        if (inbound.refused || files?.refused) {
+            await message.reply(getModerationRefusal(userName, lang, persona));
+            return;
+        }
+        const content = inbound.text;
+        
+        // Level-gated intents and responses unlock as the relationship grows
+        const userData = getUserData(key, userName);
+        refreshProgress(userData);
+        const level = userData.userStats.relationshipLevel;
+        
+        const intent = detectIntent(content, lang, persona, level);
+        
+        if (isAgeGated(intent, message.channel)) {
+            const reply = getCustomResponse('ageGated', userName, lang, persona) ||
+                          "Let's keep it sweet in here~ 💕";
+            addToConversation(key, userName, content, reply, intent, 'chat', scope);
+            await message.reply(reply);
+            return;
+        }
         
         if (intent === 'profile') {
-            const embed = createProfileEmbed();
+            const embed = createProfileEmbed(persona);
             await message.reply({ embeds: [embed] });
-            const reply = getCustomResponse('profile', userName, lang) || "Here's me! 💖";
-            addToConversation(userId, userName, message.content, reply, intent);
+            const reply = getCustomResponse('profile', userName, lang, persona) || "Here's me! 💖";
+            addToConversation(key, userName, content, reply, intent, 'chat', scope);
             return;
         }
         
         if (intent === 'stats') {
-            const embed = createStatsEmbed(userId, userName);
+            const embed = createStatsEmbed(key, userName);
             if (embed) {
                 await message.reply({ embeds: [embed] });
-                const reply = getCustomResponse('stats', userName, lang) || "Our stats! 💖";
-                addToConversation(userId, userName, message.content, reply, intent);
+                const reply = getCustomResponse('stats', userName, lang, persona) || "Our stats! 💖";
+                addToConversation(key, userName, content, reply, intent, 'chat', scope);
             }
             return;
         }
         
-        let response = getCustomResponse(intent, userName, lang);
+        if (intent === 'remember') {
+            const fact = extractExplicitFact(content, persona);
+            if (fact) {
+                addFact(userData, fact, 'other', 'explicit', inDm);
+            }
+        }
         
-        if (!response) {
-            response = await getChatResponse(message.content, userName, userId);
+        // Attachments always get a real reply instead of a canned one
+        const hasAttachments = attachments.records.length > 0;
+        let response = hasAttachments ? null : getCustomResponse(intent, userName, lang, persona, level);
+        
+        if (response) {
+            addToConversation(key, userName, content, response, intent, 'chat', scope);
+            await message.reply(response);
+        } else {
+            const replyStream = createReplyStream(message);
+            // Partial replies are checked too, a refused reply stops updating until it is replaced
+            const onProgress = text => {
+                const partial = moderateText(text, 'output', message.channel);
+                if (!partial.refused) replyStream.update(partial.text);
+            };
+            
+            // Skipped files are named so the reply can mention them
+            const skipped = attachments.records.filter(record => record.kind === 'skipped').map(describeAttachmentRecord);
+            const withFiles = `${content}${files?.text || ''}`.trim();
+            const tools = { channel: message.channel, userId, userName, persona, lang, scope, calls: [] };
+            response = await getChatResponse([withFiles, ...skipped].join('\n').trim(), userName, key, {
+                onProgress: CONFIG.streaming.enabled ? onProgress : null,
+                instructions: [
+                    ...getChannelInstructions(message.channel),
+                    ...await getGroupContext(message, userId, persona, replyChain)
+                ],
+                images: attachments.images,
+                inDm,
+                thread: scope.thread,
+                tools
+            });
+            
+            const outbound = screenText(response, 'output', context);
+            response = outbound.refused ? getModerationRefusal(userName, lang, persona) : outbound.text;
+            
+            await replyStream.finish(response);
+            const entry = addToConversation(key, userName, withFiles, response, intent, 'chat', { attachments: attachments.records, ...scope });
+            recordToolCalls(key, userName, tools.calls, scope);
+            
+            if (attachments.images.length > 0) {
+                describeImages(entry, attachments.images);
+            }
         }
         
-        addToConversation(userId, userName, message.content, response, intent);
-        await message.reply(response);
+        const milestones = takeMilestoneAnnouncements(key, userName, lang, persona);
+        if (milestones) await message.channel.send(milestones);
+        
+        extractFacts(key, userName);
         
         // Memory check after interaction
         if (LOW_MEMORY && Math.random() < 0.1) {
@@ -765,53 +4838,198 @@ async function handleChatMessage(message, userId, userName) {
         
     } catch (error) {
         console.error('Chat error:', error);
-        const fallback = getCustomResponse('apiFailed', userName, detectLanguage(message.content)) || 
+        const fallback = getCustomResponse('apiFailed', userName, resolveLanguage(userId, userName, message.content), persona) || 
                         "Having trouble! 💕";
         await message.reply(fallback).catch(console.error);
     }
 }
 
-async function handleImageRequest(message, userId, userName) {
-    try {
-        await message.channel.sendTyping();
-        const lang = detectLanguage(message.content);
-        
-        const imageBuffer = await generateImage(message.content);
+// Posts a reply as soon as the first words arrive, then edits it in throttled steps
+function createReplyStream(message) {
+    const limit = 2000;
+    let sent = null;
+    let pending = null;
+    let lastEdit = 0;
+    let timer = null;
+    let queue = Promise.resolve();
+    
+    const flush = () => {
+        timer = null;
+        const text = pending;
+        if (!text) return;
         
-        if (imageBuffer) {
-            const attachment = new AttachmentBuilder(imageBuffer, { name: 'image.png' });
-            const title = getCustomResponse('imageGenerated', userName, lang) || 
-                         '💖 Your image! ✨';
+        pending = null;
+        lastEdit = Date.now();
+        queue = queue
+            .then(async () => {
+                if (!sent) {
+                    sent = await message.reply(text);
+                } else if (sent.content !== text) {
+                    await sent.edit(text);
+                }
+            })
+            .catch(error => console.error('Stream edit error:', error.message));
+    };
+    
+    return {
+        update(text) {
+            if (!sent && text.length < CONFIG.streaming.minInitialChars) return;
             
-            const embed = new EmbedBuilder()
-                .setColor('#FF1493')
-                .setTitle(title)
-                .setImage('attachment://image.png');
+            // Trailing cursor shows the reply is still being written
+            pending = text.length > limit - 2 ? text.substring(0, limit - 2) : `${text} ▌`;
+            if (timer) return;
             
-            await message.reply({ embeds: [embed], files: [attachment] });
+            const wait = Math.max(0, lastEdit + CONFIG.streaming.editInterval - Date.now());
+            timer = setTimeout(flush, wait);
+        },
+        
+        async finish(text) {
+            clearTimeout(timer);
+            pending = text.length > limit ? text.substring(0, limit - 3) + '...' : text;
+            flush();
+            await queue;
             
-            const userData = getUserData(userId, userName);
-            userData.userStats.imagesGenerated++;
-            addToConversation(userId, userName, message.content, "Generated image", 'image', 'image');
+            if (!sent) throw new Error('Failed to send reply');
+            return sent;
+        }
+    };
+}
+
+async function handleImageRequest(message, userId, userName, persona = personality) {
+    try {
+        await message.channel.sendTyping();
+        const lang = resolveLanguage(userId, userName, message.content);
+        
+        // Options are split off first so a negative prompt isn't moderated as if it were wanted
+        const request = buildImageRequest(parseImageOptions(message.content), persona, message.channel);
+        if (!request.prompt) return;
+        
+        const checked = screenText(request.prompt, 'image', { userId, channel: message.channel });
+        if (checked.refused) {
+            await message.reply(getModerationRefusal(userName, lang, persona));
+            return;
+        }
+        request.prompt = checked.text;
+        
+        const result = await generateImage(request);
+        
+        if (result) {
+            await message.reply(createImageReply(result, request, userName, lang, persona));
+            recordGeneratedImage(conversationKey(userId, persona.id), userName, request.prompt);
             
+            const milestones = takeMilestoneAnnouncements(conversationKey(userId, persona.id), userName, lang, persona);
+            if (milestones) await message.channel.send(milestones);
         } else {
-            const errorMsg = getCustomResponse('imageFailed', userName, lang) || 
+            const errorMsg = getCustomResponse('imageFailed', userName, lang, persona) || 
                             "Couldn't create image! 💕";
             await message.reply(errorMsg);
         }
         
     } catch (error) {
         console.error('Image error:', error);
-        const errorMsg = getCustomResponse('imageFailed', userName, detectLanguage(message.content)) || 
+        const errorMsg = getCustomResponse('imageFailed', userName, resolveLanguage(userId, userName, message.content), persona) || 
                         "Image failed! 💕";
         await message.reply(errorMsg).catch(console.error);
     }
 }
 
+// The seed and size in the footer let users recreate an image with --seed and --size
+function createImageReply({ buffer, provider }, request, userName, lang, persona = personality) {
+    const attachment = new AttachmentBuilder(buffer, { name: 'image.png' });
+    const title = getCustomResponse('imageGenerated', userName, lang, persona) || 
+                 '💖 Your image! ✨';
+    const details = [
+        `🌱 Seed ${request.seed}${request.variation ? ` (variation ${request.variation.seed})` : ''}`,
+        `${request.width}×${request.height}`,
+        request.style || 'no style',
+        provider.label
+    ];
+    
+    const embed = new EmbedBuilder()
+        .setColor('#FF1493')
+        .setTitle(title)
+        .setImage('attachment://image.png')
+        .setFooter({ text: details.join(' · ') });
+    
+    const id = storeImageRequest(request);
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`image:reroll:${id}`)
+            .setLabel('Reroll')
+            .setEmoji('🎲')
+            .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+            .setCustomId(`image:variation:${id}`)
+            .setLabel('Variation')
+            .setEmoji('✨')
+            .setStyle(ButtonStyle.Secondary)
+    );
+    
+    return { embeds: [embed], files: [attachment], components: [buttons] };
+}
+
+// Reroll and variation buttons under generated images; the clicker pays the rate limit cost
+async function handleImageButton(interaction) {
+    const [, action, id] = interaction.customId.split(':');
+    const userId = interaction.user.id;
+    const userName = interaction.user.displayName || interaction.user.username;
+    const request = imageRequests.get(id);
+    const persona = getPersona(request?.personaId);
+    const lang = getUserLanguage(userId, interaction.locale);
+    
+    if (!request) {
+        await interaction.reply({
+            content: "⌛ I don't remember this one anymore~ Ask me for a new image! 💕",
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+    
+    const ids = { userId, channelId: interaction.channelId, guildId: interaction.guildId };
+    const limited = consumeRateLimit(ids, CONFIG.rateLimits.imageCost);
+    
+    const next = nextImageRequest(request, action);
+    const run = limited ? null : runForUser(userId, () => generateImage(next));
+    if (!limited && !run) refundRateLimit(ids, CONFIG.rateLimits.imageCost);
+    if (!run) {
+        await interaction.reply({
+            content: getCustomResponse('slowDown', userName, lang, persona) ||
+                     "Slow down a little~ Let me catch my breath! 💕",
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+    
+    await interaction.deferReply();
+    const result = await run;
+    
+    if (!result) {
+        await interaction.editReply(getCustomResponse('imageFailed', userName, lang, persona) ||
+                                    "Couldn't create image! 💕");
+        return;
+    }
+    
+    await interaction.editReply(createImageReply(result, next, userName, lang, persona));
+    recordGeneratedImage(conversationKey(userId, persona.id), userName, next.prompt);
+    
+    const milestones = takeMilestoneAnnouncements(conversationKey(userId, persona.id), userName, lang, persona);
+    if (milestones) await interaction.followUp(milestones);
+}
+
+function recordGeneratedImage(key, userName, prompt) {
+    const userData = getUserData(key, userName);
+    userData.userStats.imagesGenerated++;
+    addToConversation(key, userName, prompt, "Generated image", 'image', 'image');
+}
+
 function updateActivity() {
-    if (!personality?.misc?.activityStatuses) return;
+    if (!personality?.misc?.activityStatuses?.length) return;
+    
+    // Statuses with a minLevel show up once someone in memory has reached it
+    const highestLevel = Math.max(1, ...Object.values(conversations).map(u => u.userStats?.relationshipLevel || 1));
+    const statuses = personality.misc.activityStatuses.filter(status => (status.minLevel ?? 1) <= highestLevel);
+    if (statuses.length === 0) return;
     
-    const statuses = personality.misc.activityStatuses;
     const randomStatus = statuses[Math.floor(Math.random() * statuses.length)];
     
     let activityType = ActivityType.Playing;
@@ -832,6 +5050,1066 @@ function updateActivity() {
     client.user.setActivity(activityText, { type: activityType });
 }
 
+// ============================================================================
+// SLASH COMMANDS
+// ============================================================================
+
+function createHistoryEmbed(userData, count) {
+    const entries = userData.conversationHistory.slice(-count);
+    const aiName = getPersonaName(getPersona(userData.persona));
+    const truncate = (text, max) => text.length > max ? text.substring(0, max - 3) + '...' : text;
+    
+    const embed = new EmbedBuilder()
+        .setColor('#FF69B4')
+        .setTitle(`💌 Our last ${entries.length} message(s)`)
+        .setTimestamp();
+    
+    for (const entry of entries) {
+        const time = Math.floor(new Date(entry.timestamp).getTime() / 1000);
+        const you = entry.type === 'scheduled' ? '' : `**You:** ${entry.userMessage}\n`;
+        // Tool entries hold the call's arguments and result instead of an exchange
+        const body = entry.type === 'tool'
+            ? `\`${entry.userMessage}\` → \`${entry.botResponse}\``
+            : `${you}**${aiName}:** ${entry.botResponse}`;
+        embed.addFields({
+            name: `${{ image: '🖼️', scheduled: '⏰', tool: '🛠️' }[entry.type] || '💬'} ${entry.intent || 'chat'}`,
+            value: truncate(`<t:${time}:R>\n${body}`, 1024)
+        });
+    }
+    
+    return embed;
+}
+
+const OWNER_IDS = (process.env.OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// OWNER_IDS wins, otherwise the owner (or team members) of the Discord application
+async function isOwner(userId) {
+    if (OWNER_IDS.length > 0) return OWNER_IDS.includes(userId);
+    
+    if (!client.application.owner) await client.application.fetch();
+    const owner = client.application.owner;
+    return owner?.members ? owner.members.has(userId) : owner?.id === userId;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const parts = [
+        [Math.floor(seconds / 86400), 'd'],
+        [Math.floor(seconds % 86400 / 3600), 'h'],
+        [Math.floor(seconds % 3600 / 60), 'm'],
+        [seconds % 60, 's']
+    ];
+    return parts.filter(([value]) => value > 0).slice(0, 2).map(([value, unit]) => `${value}${unit}`).join(' ') || '0s';
+}
+
+function createStatusEmbed() {
+    const mem = getMemoryUsage();
+    
+    const embed = new EmbedBuilder()
+        .setColor('#FF69B4')
+        .setTitle(`🩺 Status${LOW_MEMORY ? ' (low-memory mode)' : ''}`)
+        .addFields(
+            { name: '⏱️ Uptime', value: formatDuration(process.uptime() * 1000), inline: true },
+            { name: '💾 Memory', value: `${mem.heapUsed}/${mem.heapTotal}MB heap\n${mem.rss}MB RSS`, inline: true },
+            { name: '📡 Discord', value: `${client.ws.ping}ms ping\n${client.guilds.cache.size} server(s)`, inline: true },
+            { name: '👥 Users', value: `${Object.keys(conversations).length} loaded\n${storage?.countUsers() ?? 0} stored (${storage?.name || 'none'})`, inline: true },
+            { name: '🚦 Rate limits', value: `${rateBuckets.size} bucket(s)\n${userQueues.size} busy user(s)`, inline: true },
+            { name: '🎭 Personas', value: `${personas.size}`, inline: true }
+        )
+        .setTimestamp();
+    
+    // Embeds hold 25 fields, six are used above
+    for (const provider of providers.slice(0, 19)) {
+        const lines = provider.keyManager.getStatus().map(key => {
+            const state = key.blockedFor > 0 ? `⛔ ${formatDuration(key.blockedFor)}` : '✅';
+            return `**#${key.index + 1}** ${state} · ${key.requestsToday} req · ${key.tokensToday} tok today · ` +
+                   `${Math.round(key.remainingShare * 100)}% left`;
+        });
+        
+        embed.addFields({
+            name: `🤖 ${provider.label} (${provider.model})`,
+            value: (lines.join('\n') || 'No keys').substring(0, 1024)
+        });
+    }
+    
+    return embed;
+}
+
+// Slash command choices are fixed at registration, Discord allows at most 25
+function personaChoices() {
+    return [...personas.values()].slice(0, 25).map(persona => ({
+        name: `${getPersonaName(persona)} (${persona.id})`,
+        value: persona.id
+    }));
+}
+
+function createPersonaListEmbed(guildId, current) {
+    const allowed = getAllowedPersonas(guildId);
+    const lines = [...personas.values()].map(persona => {
+        const marker = persona.id === current.id ? '💖' : allowed.includes(persona.id) ? '▫️' : '🔒';
+        return `${marker} **${getPersonaName(persona)}** \`${persona.id}\` — ${persona.personality.description || ''}`.substring(0, 200);
+    });
+    
+    return new EmbedBuilder()
+        .setColor('#FF69B4')
+        .setTitle('🎭 Personas')
+        .setDescription(lines.join('\n').substring(0, 4000))
+        .setFooter({ text: '💖 talking here · 🔒 not allowed in this server' })
+        .setTimestamp();
+}
+
+const slashCommands = [
+    {
+        name: 'profile',
+        build: () => new SlashCommandBuilder()
+            .setName('profile')
+            .setDescription(`Learn about ${getPersonaName()}`),
+        execute: async (interaction, userId, userName, persona) => {
+            const lang = getUserLanguage(userId, interaction.locale);
+            const content = getCustomResponse('profile', userName, lang, persona) || "Here's me! 💖";
+            await interaction.reply({ content, embeds: [createProfileEmbed(persona)] });
+        }
+    },
+    {
+        name: 'stats',
+        build: () => new SlashCommandBuilder()
+            .setName('stats')
+            .setDescription('Show relationship stats')
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('Whose stats to show (defaults to you)')),
+        execute: async (interaction, userId, userName, persona) => {
+            const target = interaction.options.getUser('user') || interaction.user;
+            const targetName = target.displayName || target.username;
+            const embed = createStatsEmbed(conversationKey(target.id, persona.id), targetName);
+            
+            if (!embed) {
+                await interaction.reply({
+                    content: `${targetName} hasn't talked with me yet~ 💕`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            // Someone else's stats are only shown to the one asking
+            const own = target.id === userId;
+            const lang = getUserLanguage(userId, interaction.locale);
+            const content = own ? getCustomResponse('stats', userName, lang, persona) : null;
+            await interaction.reply({
+                content: content || undefined,
+                embeds: [embed],
+                ...(!own && { flags: MessageFlags.Ephemeral })
+            });
+        }
+    },
+    {
+        name: 'imagine',
+        build: () => new SlashCommandBuilder()
+            .setName('imagine')
+            .setDescription('Generate an image')
+            .addStringOption(option => option
+                .setName('prompt')
+                .setDescription('What should I draw?')
+                .setRequired(true)
+                .setMaxLength(500))
+            .addStringOption(option => option
+                .setName('style')
+                .setDescription('Style preset')
+                .addChoices(...imageStyleChoices()))
+            .addStringOption(option => option
+                .setName('aspect')
+                .setDescription('Aspect ratio, square by default')
+                .addChoices(...IMAGE_ASPECTS.map(aspect => ({ name: aspect, value: aspect }))))
+            .addIntegerOption(option => option
+                .setName('seed')
+                .setDescription('Reuse a seed from an earlier image')
+                .setMinValue(0)
+                .setMaxValue(2 ** 32 - 1))
+            .addStringOption(option => option
+                .setName('negative')
+                .setDescription('What to keep out of the image')
+                .setMaxLength(300)),
+        execute: async (interaction, userId, userName, persona) => {
+            const lang = getUserLanguage(userId, interaction.locale);
+            
+            // Flags typed in the prompt work too, the command options win
+            const parsed = parseImageOptions(interaction.options.getString('prompt', true));
+            const request = buildImageRequest({
+                ...parsed,
+                style: interaction.options.getString('style') ?? parsed.style,
+                aspect: interaction.options.getString('aspect') ?? parsed.aspect,
+                seed: interaction.options.getInteger('seed') ?? parsed.seed,
+                negative: interaction.options.getString('negative') ?? parsed.negative
+            }, persona, interaction.channel);
+            
+            const checked = screenText(request.prompt, 'image', { userId, channel: interaction.channel });
+            if (!request.prompt || checked.refused) {
+                await interaction.reply({
+                    content: checked.refused ? getModerationRefusal(userName, lang, persona) : 'What should I draw? 💕',
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            request.prompt = checked.text;
+            
+            const slowDown = getCustomResponse('slowDown', userName, lang, persona) ||
+                             "Slow down a little~ Let me catch my breath! 💕";
+            
+            const ids = { userId, channelId: interaction.channelId, guildId: interaction.guildId };
+            const limited = consumeRateLimit(ids, CONFIG.rateLimits.imageCost);
+            
+            const run = limited ? null : runForUser(userId, () => generateImage(request));
+            if (!limited && !run) refundRateLimit(ids, CONFIG.rateLimits.imageCost);
+            if (!run) {
+                await interaction.reply({ content: slowDown, flags: MessageFlags.Ephemeral });
+                return;
+            }
+            
+            // Image generation easily exceeds the 3 second interaction deadline
+            await interaction.deferReply();
+            const result = await run;
+            
+            if (!result) {
+                const errorMsg = getCustomResponse('imageFailed', userName, lang, persona) || 
+                                "Couldn't create image! 💕";
+                await interaction.editReply(errorMsg);
+                return;
+            }
+            
+            await interaction.editReply(createImageReply(result, request, userName, lang, persona));
+            recordGeneratedImage(conversationKey(userId, persona.id), userName, request.prompt);
+            
+            const milestones = takeMilestoneAnnouncements(conversationKey(userId, persona.id), userName, lang, persona);
+            if (milestones) await interaction.followUp(milestones);
+        }
+    },
+    {
+        name: 'forget',
+        build: () => new SlashCommandBuilder()
+            .setName('forget')
+            .setDescription('Clear our chat history and its summary (your stats, level and memories are kept)'),
+        execute: async (interaction, userId, userName, persona) => {
+            const userData = findUser(conversationKey(userId, persona.id));
+            const cleared = userData?.conversationHistory.length || 0;
+            
+            if (userData) {
+                userData.conversationHistory = [];
+                userData.summary = null;
+                userData.privateSummary = null;
+                userData.unsummarized = [];
+                userData.summaryGeneration = (userData.summaryGeneration || 0) + 1;
+                userData.messageCount = 0;
+                debouncedSave();
+            }
+            
+            await interaction.reply({
+                content: cleared > 0
+                    ? `🧹 I've forgotten our last ${cleared} message(s)~ Fresh start! 💕`
+                    : "We don't have any history to forget yet~ 💕",
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    },
+    {
+        name: 'history',
+        build: () => new SlashCommandBuilder()
+            .setName('history')
+            .setDescription('Show our recent messages')
+            .addIntegerOption(option => option
+                .setName('count')
+                .setDescription('How many messages to show')
+                .setMinValue(1)
+                .setMaxValue(10)),
+        execute: async (interaction, userId, userName, persona) => {
+            const userData = findUser(conversationKey(userId, persona.id));
+            
+            if (!userData?.conversationHistory.length) {
+                await interaction.reply({
+                    content: "We haven't talked yet~ Say hi! 💕",
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const count = interaction.options.getInteger('count') || 5;
+            await interaction.reply({
+                embeds: [createHistoryEmbed(userData, count)],
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    },
+    {
+        name: 'memory',
+        build: () => new SlashCommandBuilder()
+            .setName('memory')
+            .setDescription('See or edit what I remember about you')
+            .addSubcommand(sub => sub
+                .setName('list')
+                .setDescription('Show everything I remember about you'))
+            .addSubcommand(sub => sub
+                .setName('add')
+                .setDescription('Tell me something to remember')
+                .addStringOption(option => option
+                    .setName('fact')
+                    .setDescription('What should I remember?')
+                    .setRequired(true)
+                    .setMaxLength(200)))
+            .addSubcommand(sub => sub
+                .setName('forget')
+                .setDescription('Forget one memory')
+                .addIntegerOption(option => option
+                    .setName('number')
+                    .setDescription('Number shown in /memory list')
+                    .setRequired(true)
+                    .setMinValue(1)))
+            .addSubcommand(sub => sub
+                .setName('clear')
+                .setDescription('Forget everything I remember about you')),
+        execute: async (interaction, userId, userName, persona) => {
+            const subcommand = interaction.options.getSubcommand();
+            const userData = getUserData(conversationKey(userId, persona.id), userName);
+            let content;
+            
+            switch (subcommand) {
+                case 'list':
+                    await interaction.reply({
+                        embeds: [createMemoryEmbed(userData, userName)],
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                case 'add': {
+                    const fact = addFact(userData, interaction.options.getString('fact', true), 'other', 'explicit', !interaction.guildId);
+                    content = fact ? `📝 I'll remember: *${fact.text}* 💕` : 'I already know that, silly~ 💕';
+                    break;
+                }
+                case 'forget': {
+                    const removed = removeFact(userData, interaction.options.getInteger('number', true) - 1);
+                    content = removed ? `🧹 Forgotten: *${removed.text}*` : "I couldn't find that memory~ 💕";
+                    break;
+                }
+                case 'clear': {
+                    const count = userData.facts?.length || 0;
+                    userData.facts = [];
+                    debouncedSave();
+                    content = `🧹 I've forgotten ${count} memory(ies)~ 💕`;
+                    break;
+                }
+            }
+            
+            await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+        }
+    },
+    {
+        name: 'channel',
+        build: () => new SlashCommandBuilder()
+            .setName('channel')
+            .setDescription('Configure where I chat and draw in this server')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .setContexts(InteractionContextType.Guild)
+            .addSubcommand(sub => sub
+                .setName('set')
+                .setDescription('Set how I behave in a channel')
+                .addStringOption(option => option
+                    .setName('mode')
+                    .setDescription('chat: reply to everything, image: draw prompts, keywords: reply on keywords only')
+                    .setRequired(true)
+                    .addChoices(...[...CHANNEL_MODES, 'default'].map(mode => ({ name: mode, value: mode }))))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Defaults to this channel')
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)))
+            .addSubcommand(sub => sub
+                .setName('persona')
+                .setDescription('Bind a channel to one persona, or leave persona empty to unbind it')
+                .addStringOption(option => option
+                    .setName('persona')
+                    .setDescription('Persona used by everyone in the channel')
+                    .addChoices(...personaChoices()))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Defaults to this channel')
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)))
+            .addSubcommand(sub => sub
+                .setName('server-persona')
+                .setDescription('Persona used in this server unless a channel or user picks another')
+                .addStringOption(option => option
+                    .setName('persona')
+                    .setDescription('Server default persona')
+                    .setRequired(true)
+                    .addChoices(...personaChoices())))
+            .addSubcommand(sub => sub
+                .setName('allowed-personas')
+                .setDescription('Limit which personas users can pick with /persona')
+                .addStringOption(option => option
+                    .setName('personas')
+                    .setDescription('Comma-separated persona ids, or "all"')
+                    .setRequired(true)
+                    .setMaxLength(500)))
+            .addSubcommand(sub => sub
+                .setName('mod-log')
+                .setDescription('Send moderation reports to a channel, or leave channel empty to stop')
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel for moderation reports')
+                    .addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(sub => sub
+                .setName('threads')
+                .setDescription('Start a thread for each new conversation in a channel')
+                .addBooleanOption(option => option
+                    .setName('enabled')
+                    .setDescription('On or off')
+                    .setRequired(true))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Defaults to this channel')
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+            .addSubcommand(sub => sub
+                .setName('keywords-anywhere')
+                .setDescription('Reply to keywords in channels without a mode')
+                .addBooleanOption(option => option
+                    .setName('enabled')
+                    .setDescription('On or off')
+                    .setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('list')
+                .setDescription('Show the channel settings for this server')),
+        execute: async (interaction) => {
+            if (!interaction.inGuild() || !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+                await interaction.reply({
+                    content: '🔒 You need the Manage Server permission for this~ 💕',
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const subcommand = interaction.options.getSubcommand();
+            let content = null;
+            
+            if (subcommand === 'set') {
+                const mode = interaction.options.getString('mode', true);
+                const channel = interaction.options.getChannel('channel') || interaction.channel;
+                setChannelMode(interaction.guildId, channel.id, mode);
+                content = mode === 'default'
+                    ? `⚙️ <#${channel.id}> is back to default behavior`
+                    : `⚙️ <#${channel.id}> is now a **${mode}** channel`;
+            } else if (subcommand === 'persona') {
+                const personaId = interaction.options.getString('persona');
+                const channel = interaction.options.getChannel('channel') || interaction.channel;
+                setChannelPersona(interaction.guildId, channel.id, personaId);
+                content = personaId
+                    ? `🎭 <#${channel.id}> now belongs to **${getPersonaName(getPersona(personaId))}**`
+                    : `🎭 <#${channel.id}> no longer has its own persona`;
+            } else if (subcommand === 'server-persona') {
+                const personaId = interaction.options.getString('persona', true);
+                getGuildSettings(interaction.guildId).persona = personaId;
+                debouncedGuildSave();
+                content = `🎭 **${getPersonaName(getPersona(personaId))}** is now this server's persona`;
+            } else if (subcommand === 'allowed-personas') {
+                const value = interaction.options.getString('personas', true).toLowerCase();
+                const ids = value.trim() === 'all' ? [] : parseIdList(value).filter(id => personas.has(id));
+                getGuildSettings(interaction.guildId).allowedPersonas = ids;
+                debouncedGuildSave();
+                content = `🎭 Users can now pick: **${ids.length > 0 ? ids.join(', ') : 'all personas'}**`;
+            } else if (subcommand === 'mod-log') {
+                const channel = interaction.options.getChannel('channel');
+                const settings = getGuildSettings(interaction.guildId);
+                if (channel) {
+                    settings.modLogChannel = channel.id;
+                } else {
+                    delete settings.modLogChannel;
+                }
+                debouncedGuildSave();
+                content = channel
+                    ? `🛡️ Moderation reports now go to <#${channel.id}>`
+                    : '🛡️ Moderation reports for this server are off';
+            } else if (subcommand === 'threads') {
+                const enabled = interaction.options.getBoolean('enabled', true);
+                const channel = interaction.options.getChannel('channel') || interaction.channel;
+                const settings = getGuildSettings(interaction.guildId);
+                settings.threadChannels = settings.threadChannels.filter(id => id !== channel.id);
+                if (enabled) settings.threadChannels.push(channel.id);
+                debouncedGuildSave();
+                content = enabled
+                    ? `🧵 New conversations in <#${channel.id}> now get their own thread`
+                    : `🧵 I'll reply right in <#${channel.id}> again`;
+            } else if (subcommand === 'keywords-anywhere') {
+                const enabled = interaction.options.getBoolean('enabled', true);
+                getGuildSettings(interaction.guildId).keywordsAnywhere = enabled;
+                debouncedGuildSave();
+                content = `⚙️ Keyword replies in other channels are now **${enabled ? 'on' : 'off'}**`;
+            }
+            
+            await interaction.reply({
+                content: content || undefined,
+                embeds: [createChannelSettingsEmbed(interaction.guild)],
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    },
+    {
+        name: 'persona',
+        build: () => new SlashCommandBuilder()
+            .setName('persona')
+            .setDescription('See who you can talk to, or switch to someone else')
+            .addSubcommand(sub => sub
+                .setName('list')
+                .setDescription('Show the available personas'))
+            .addSubcommand(sub => sub
+                .setName('set')
+                .setDescription('Talk to another persona (each one keeps its own history with you)')
+                .addStringOption(option => option
+                    .setName('persona')
+                    .setDescription('Who to talk to')
+                    .setRequired(true)
+                    .addChoices(...personaChoices())))
+            .addSubcommand(sub => sub
+                .setName('reset')
+                .setDescription("Go back to this server's persona")),
+        execute: async (interaction, userId, userName, persona) => {
+            const subcommand = interaction.options.getSubcommand();
+            
+            if (subcommand === 'list') {
+                await interaction.reply({
+                    embeds: [createPersonaListEmbed(interaction.guildId, persona)],
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const personaId = subcommand === 'set' ? interaction.options.getString('persona', true) : null;
+            if (personaId && !getAllowedPersonas(interaction.guildId).includes(personaId)) {
+                await interaction.reply({
+                    content: "🔒 That persona isn't available in this server~ 💕",
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            getUserData(userId, userName).activePersona = personaId;
+            debouncedSave();
+            
+            const active = resolvePersona(userId, interaction.channel);
+            let content = `🎭 You're now talking to **${getPersonaName(active)}**~ 💕`;
+            if (personaId && active.id !== personaId) {
+                content += `\n*(this channel always uses ${getPersonaName(active)}, your pick applies elsewhere)*`;
+            }
+            
+            await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+        }
+    },
+    {
+        name: 'language',
+        build: () => new SlashCommandBuilder()
+            .setName('language')
+            .setDescription('Choose the language I reply in')
+            .addStringOption(option => option
+                .setName('language')
+                .setDescription('Language code, or auto to detect it from your messages')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'auto', value: 'auto' },
+                    ...compiledLanguages.slice(0, 24).map(l => ({ name: l.code, value: l.code }))
+                )),
+        execute: async (interaction, userId, userName) => {
+            const choice = interaction.options.getString('language', true);
+            const userData = getUserData(userId, userName);
+            
+            if (choice === 'auto') {
+                userData.languageLocked = false;
+            } else {
+                userData.preferredLanguage = choice;
+                userData.languageLocked = true;
+            }
+            debouncedSave();
+            
+            await interaction.reply({
+                content: choice === 'auto'
+                    ? "🌍 I'll follow whatever language you write in~ 💕"
+                    : `🌍 I'll reply in \`${choice}\` from now on~ 💕`,
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    },
+    {
+        name: 'schedule',
+        build: () => {
+            const events = Object.entries(SCHEDULE_EVENTS).map(([event, { label }]) => ({ name: label, value: event }));
+            
+            return new SlashCommandBuilder()
+                .setName('schedule')
+                .setDescription('Good mornings, good nights, birthdays and other messages I send on my own')
+                .addSubcommand(sub => sub
+                    .setName('status')
+                    .setDescription('See which messages are on, your timezone and quiet hours'))
+                .addSubcommand(sub => sub
+                    .setName('enable')
+                    .setDescription('Turn a scheduled message on, from the persona you talk to here')
+                    .addStringOption(option => option
+                        .setName('event')
+                        .setDescription('Which message')
+                        .setRequired(true)
+                        .addChoices(...events))
+                    .addStringOption(option => option
+                        .setName('time')
+                        .setDescription('Your local time as HH:MM, e.g. 07:30')))
+                .addSubcommand(sub => sub
+                    .setName('disable')
+                    .setDescription('Turn a scheduled message off')
+                    .addStringOption(option => option
+                        .setName('event')
+                        .setDescription('Which message')
+                        .setRequired(true)
+                        .addChoices(...events, { name: 'All of them', value: 'all' })))
+                .addSubcommand(sub => sub
+                    .setName('timezone')
+                    .setDescription('Set your timezone')
+                    .addStringOption(option => option
+                        .setName('zone')
+                        .setDescription('e.g. Europe/Paris, America/New_York or Asia/Tokyo')
+                        .setRequired(true)))
+                .addSubcommand(sub => sub
+                    .setName('birthday')
+                    .setDescription('Tell me your birthday')
+                    .addStringOption(option => option
+                        .setName('date')
+                        .setDescription('Month and day as MM-DD, e.g. 04-23')
+                        .setRequired(true)))
+                .addSubcommand(sub => sub
+                    .setName('quiet-hours')
+                    .setDescription("Times I won't message you, leave both empty to remove them")
+                    .addStringOption(option => option
+                        .setName('start')
+                        .setDescription('HH:MM, e.g. 23:00'))
+                    .addStringOption(option => option
+                        .setName('end')
+                        .setDescription('HH:MM, e.g. 08:00')))
+                .addSubcommand(sub => sub
+                    .setName('deliver')
+                    .setDescription('Where the messages go')
+                    .addStringOption(option => option
+                        .setName('where')
+                        .setDescription('Your DMs or this channel')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'My DMs', value: 'dm' },
+                            { name: 'This channel', value: 'here' }
+                        )));
+        },
+        execute: async (interaction, userId, userName, persona) => {
+            const subcommand = interaction.options.getSubcommand();
+            const reply = content => interaction.reply({ content, flags: MessageFlags.Ephemeral });
+            
+            if (subcommand === 'status') {
+                await interaction.reply({ embeds: [createScheduleEmbed(userId)], flags: MessageFlags.Ephemeral });
+                return;
+            }
+            
+            const schedule = getSchedule(userId);
+            schedule.userName = userName;
+            
+            switch (subcommand) {
+                case 'enable': {
+                    const event = interaction.options.getString('event', true);
+                    const time = interaction.options.getString('time');
+                    const minutes = parseClock(time || {
+                        morning: CONFIG.schedule.morningTime,
+                        night: CONFIG.schedule.nightTime
+                    }[event] || CONFIG.schedule.eventTime);
+                    if (minutes === null) {
+                        await reply('⏰ Times look like `07:30` or `22:00`~ 💕');
+                        return;
+                    }
+                    
+                    schedule.events[event] = formatClock(minutes);
+                    schedule.persona = persona.id;
+                    // Only silences starting after today count
+                    if (event === 'missYou') {
+                        schedule.lastSent.missYou = findUser(conversationKey(userId, persona.id))?.lastMessage || null;
+                    }
+                    debouncedScheduleSave();
+                    
+                    const notes = [
+                        `${SCHEDULE_EVENTS[event].label} is on, from ${schedule.events[event]} (${schedule.timezone})~ 💕`,
+                        schedule.timezone === 'UTC' ? 'Set your timezone with `/schedule timezone` so I get the time right!' : null,
+                        event === 'birthday' && !schedule.birthday ? 'Tell me when it is with `/schedule birthday`!' : null,
+                        !CONFIG.schedule.enabled ? '⚠️ Scheduled messages are turned off on this bot right now.' : null
+                    ];
+                    await reply(notes.filter(Boolean).join('\n'));
+                    return;
+                }
+                case 'disable': {
+                    const event = interaction.options.getString('event', true);
+                    if (event === 'all') {
+                        schedule.events = {};
+                    } else {
+                        delete schedule.events[event];
+                    }
+                    debouncedScheduleSave();
+                    
+                    await reply(event === 'all'
+                        ? "🔕 No more scheduled messages, I'll wait for you to write~ 💕"
+                        : `🔕 ${SCHEDULE_EVENTS[event].label} is off~ 💕`);
+                    return;
+                }
+                case 'timezone': {
+                    const zone = normalizeTimeZone(interaction.options.getString('zone', true).trim());
+                    if (!zone) {
+                        await reply("🌍 I don't know that timezone~ Try a name like `Europe/Paris` or `America/New_York` 💕");
+                        return;
+                    }
+                    
+                    schedule.timezone = zone;
+                    debouncedScheduleSave();
+                    await reply(`🌍 Got it, it's ${formatClock(localTime(zone).minutes)} for you in ${zone}~ 💕`);
+                    return;
+                }
+                case 'birthday': {
+                    const date = parseMonthDay(interaction.options.getString('date', true));
+                    if (!date) {
+                        await reply('🎂 Birthdays look like `MM-DD`, e.g. `04-23` for April 23rd~ 💕');
+                        return;
+                    }
+                    
+                    schedule.birthday = date;
+                    debouncedScheduleSave();
+                    await reply(schedule.events.birthday
+                        ? `🎂 ${date}, I'll remember~ 💖`
+                        : `🎂 ${date}, I'll remember~ 💖 Turn on birthday messages with \`/schedule enable\`!`);
+                    return;
+                }
+                case 'quiet-hours': {
+                    const start = interaction.options.getString('start');
+                    const end = interaction.options.getString('end');
+                    if (!start && !end) {
+                        schedule.quietHours = null;
+                        debouncedScheduleSave();
+                        await reply('🔔 No more quiet hours~ 💕');
+                        return;
+                    }
+                    
+                    if (parseClock(start) === null || parseClock(end) === null || parseClock(start) === parseClock(end)) {
+                        await reply('🤫 I need a different start and end, like `23:00` and `08:00`~ 💕');
+                        return;
+                    }
+                    
+                    schedule.quietHours = { start: formatClock(parseClock(start)), end: formatClock(parseClock(end)) };
+                    debouncedScheduleSave();
+                    await reply(`🤫 I'll stay quiet from ${schedule.quietHours.start} to ${schedule.quietHours.end} (${schedule.timezone})~ 💕`);
+                    return;
+                }
+                case 'deliver': {
+                    if (interaction.options.getString('where', true) === 'dm') {
+                        schedule.delivery = 'dm';
+                        debouncedScheduleSave();
+                        await reply("📬 I'll send them to your DMs~ Make sure they're open for me 💕");
+                        return;
+                    }
+                    
+                    if (!interaction.guildId || getChannelMode(interaction.channel) === 'ignore') {
+                        await reply("📬 I can't post here, pick a server channel I talk in~ 💕");
+                        return;
+                    }
+                    
+                    schedule.delivery = { guildId: interaction.guildId, channelId: interaction.channelId };
+                    debouncedScheduleSave();
+                    await reply(`📬 I'll post them in <#${interaction.channelId}>~ 💕`);
+                    return;
+                }
+            }
+        }
+    },
+    {
+        name: 'privacy',
+        build: () => new SlashCommandBuilder()
+            .setName('privacy')
+            .setDescription('See, download or delete what I store about you')
+            .addSubcommand(sub => sub
+                .setName('export')
+                .setDescription('Download everything I store about you as a JSON file'))
+            .addSubcommand(sub => sub
+                .setName('delete')
+                .setDescription('Delete your history, memories and stats with every persona')
+                .addBooleanOption(option => option
+                    .setName('confirm')
+                    .setDescription('This cannot be undone')
+                    .setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('opt-out')
+                .setDescription("Keep chatting, but I won't save your messages anymore"))
+            .addSubcommand(sub => sub
+                .setName('opt-in')
+                .setDescription('Let me save our messages again')),
+        execute: async (interaction, userId, userName) => {
+            const subcommand = interaction.options.getSubcommand();
+            
+            switch (subcommand) {
+                case 'export': {
+                    const data = exportUserData(userId);
+                    if (data.records.length === 0 && !data.schedule) {
+                        await interaction.reply({ content: "I don't have anything stored about you~ 💕", flags: MessageFlags.Ephemeral });
+                        return;
+                    }
+                    
+                    const file = new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), { name: `my-data-${userId}.json` });
+                    await interaction.reply({
+                        content: `📦 Here's everything I store about you (${data.records.length} record(s))`,
+                        files: [file],
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+                case 'delete': {
+                    if (!interaction.options.getBoolean('confirm', true)) {
+                        await interaction.reply({ content: 'Nothing was deleted~ Set `confirm` to true if you really want to 💕', flags: MessageFlags.Ephemeral });
+                        return;
+                    }
+                    
+                    const optedOut = isOptedOut(userId);
+                    const removed = await deleteAllUserData(userId);
+                    
+                    // Deleting everything shouldn't silently opt the user back in
+                    if (optedOut) {
+                        getUserData(userId, userName).privacyOptOut = true;
+                        debouncedSave();
+                    }
+                    
+                    await interaction.reply({
+                        content: removed > 0
+                            ? `🗑️ Deleted everything I stored about you (${removed} record(s)). It's like we just met~ 💕`
+                            : "I don't have anything stored about you~ 💕",
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+                case 'opt-out':
+                case 'opt-in': {
+                    const optOut = subcommand === 'opt-out';
+                    getUserData(userId, userName).privacyOptOut = optOut;
+                    debouncedSave();
+                    
+                    await interaction.reply({
+                        content: optOut
+                            ? "🔒 I won't save your messages anymore, I'll only keep them in memory for a little while. " +
+                              'What I stored before is still there, use `/privacy delete` to remove it 💕'
+                            : "🔓 I'll remember our conversations again~ 💕",
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+            }
+        }
+    },
+    {
+        name: 'admin',
+        build: () => new SlashCommandBuilder()
+            .setName('admin')
+            .setDescription('Bot owner tools')
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+            .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+            .addSubcommand(sub => sub
+                .setName('status')
+                .setDescription('Memory, uptime, users and the state of every provider key'))
+            .addSubcommand(sub => sub
+                .setName('save')
+                .setDescription('Save conversations, guild settings, schedules and key quotas now'))
+            .addSubcommand(sub => sub
+                .setName('cleanup')
+                .setDescription('Summarize expired history and evict inactive users from memory now'))
+            .addSubcommand(sub => sub
+                .setName('reload')
+                .setDescription('Reload the personas and moderation.json, keeping the last good version of broken files'))
+            .addSubcommand(sub => sub
+                .setName('block-key')
+                .setDescription('Stop using an API key for a while')
+                .addStringOption(option => option
+                    .setName('provider')
+                    .setDescription('AI provider')
+                    .setRequired(true)
+                    .addChoices(...providers.slice(0, 25).map(p => ({ name: p.label, value: p.name }))))
+                .addIntegerOption(option => option
+                    .setName('key')
+                    .setDescription('Key number shown in /admin status')
+                    .setRequired(true)
+                    .setMinValue(1))
+                .addIntegerOption(option => option
+                    .setName('minutes')
+                    .setDescription('How long to block it (default 60)')
+                    .setMinValue(1)
+                    .setMaxValue(10080)))
+            .addSubcommand(sub => sub
+                .setName('unblock-key')
+                .setDescription('Use a blocked API key again')
+                .addStringOption(option => option
+                    .setName('provider')
+                    .setDescription('AI provider')
+                    .setRequired(true)
+                    .addChoices(...providers.slice(0, 25).map(p => ({ name: p.label, value: p.name }))))
+                .addIntegerOption(option => option
+                    .setName('key')
+                    .setDescription('Key number shown in /admin status')
+                    .setRequired(true)
+                    .setMinValue(1)))
+            .addSubcommand(sub => sub
+                .setName('wipe-user')
+                .setDescription("Delete all of a user's history, memories and stats, for every persona")
+                .addUserOption(option => option
+                    .setName('user')
+                    .setDescription('User to wipe (a user ID works too)')
+                    .setRequired(true))
+                .addBooleanOption(option => option
+                    .setName('confirm')
+                    .setDescription('This cannot be undone')
+                    .setRequired(true))),
+        execute: async (interaction, userId) => {
+            if (!await isOwner(userId)) {
+                await interaction.reply({ content: '🔒 Only the bot owner can do this~ 💕', flags: MessageFlags.Ephemeral });
+                return;
+            }
+            
+            // Saves, cleanups and reloads can take a while
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+            const subcommand = interaction.options.getSubcommand();
+            
+            const getKey = () => {
+                const provider = providers.find(p => p.name === interaction.options.getString('provider', true));
+                const index = interaction.options.getInteger('key', true) - 1;
+                return provider && index < provider.keyManager.keys.length ? { provider, index } : null;
+            };
+            
+            switch (subcommand) {
+                case 'status':
+                    await interaction.editReply({ embeds: [createStatusEmbed()] });
+                    return;
+                case 'save':
+                    await saveConversations();
+                    await saveGuildSettings();
+                    await saveSchedules();
+                    await saveQuotas();
+                    await interaction.editReply(`💾 Saved ${Object.keys(conversations).length} loaded user(s), guild settings, schedules and key quotas`);
+                    return;
+                case 'cleanup': {
+                    const { totalArchived } = await cleanupOldConversations();
+                    const pruned = pruneOldUsers();
+                    await interaction.editReply(`🧹 Archived ${totalArchived} old message(s) for summaries, evicted ${pruned} inactive user(s)`);
+                    return;
+                }
+                case 'reload': {
+                    const errors = await reloadPersonalities();
+                    // A broken moderation.json keeps the rules already loaded
+                    await loadModeration().catch(error => errors.push(error.message));
+                    const names = [...personas.values()].map(persona => getPersonaName(persona)).join(', ');
+                    let content = `🔄 Reloaded ${personas.size} persona(s): ${names}`;
+                    if (errors.length > 0) {
+                        content += `\n⚠️ Rejected, previous versions are kept:\n\`\`\`\n${errors.join('\n')}`.substring(0, 1900) + '\n```';
+                    }
+                    await interaction.editReply(content);
+                    return;
+                }
+                case 'block-key':
+                case 'unblock-key': {
+                    const target = getKey();
+                    if (!target) {
+                        await interaction.editReply('❓ No such key, check the numbers in /admin status');
+                        return;
+                    }
+                    
+                    const name = `${target.provider.label} key #${target.index + 1}`;
+                    if (subcommand === 'block-key') {
+                        const minutes = interaction.options.getInteger('minutes') || 60;
+                        target.provider.keyManager.blockKey(target.index, minutes * 60000);
+                        await interaction.editReply(`⛔ ${name} is blocked for ${formatDuration(minutes * 60000)}`);
+                    } else {
+                        target.provider.keyManager.unblockKey(target.index);
+                        await interaction.editReply(`✅ ${name} is back in rotation`);
+                    }
+                    debouncedQuotaSave();
+                    return;
+                }
+                case 'wipe-user': {
+                    const target = interaction.options.getUser('user', true);
+                    if (!interaction.options.getBoolean('confirm', true)) {
+                        await interaction.editReply('Nothing was deleted, set `confirm` to true to wipe the user');
+                        return;
+                    }
+                    
+                    const removed = await deleteAllUserData(target.id);
+                    console.log(`🗑️ Wiped ${removed} record(s) of user ${target.id} (requested by ${userId})`);
+                    await interaction.editReply(`🗑️ Deleted ${removed} record(s) of ${target.tag || target.id}`);
+                    return;
+                }
+            }
+        }
+    }
+];
+
+async function registerSlashCommands() {
+    try {
+        commandRegistry = new Map(slashCommands.map(command => [command.name, command]));
+        const body = slashCommands.map(command => command.build().toJSON());
+        
+        // Guild commands update instantly, global ones can take up to an hour
+        const guildId = process.env.COMMAND_GUILD_ID;
+        if (guildId) {
+            await client.application.commands.set(body, guildId);
+        } else {
+            await client.application.commands.set(body);
+        }
+        
+        console.log(`⚡ Registered ${body.length} slash commands${guildId ? ` in guild ${guildId}` : ''}`);
+    } catch (error) {
+        console.error('Command registration error:', error);
+    }
+}
+
+client.on('interactionCreate', async (interaction) => {
+    if (interaction.isButton() && interaction.customId.startsWith('image:')) {
+        try {
+            await handleImageButton(interaction);
+        } catch (error) {
+            console.error('Image button error:', error);
+            const payload = { content: "Couldn't create image! 💕", flags: MessageFlags.Ephemeral };
+            const send = interaction.deferred || interaction.replied
+                ? interaction.followUp(payload)
+                : interaction.reply(payload);
+            await send.catch(console.error);
+        }
+        return;
+    }
+    
+    if (!interaction.isChatInputCommand()) return;
+    
+    const command = commandRegistry.get(interaction.commandName);
+    if (!command) return;
+    
+    const userId = interaction.user.id;
+    const userName = interaction.user.displayName || interaction.user.username;
+    
+    const persona = resolvePersona(userId, interaction.channel);
+    
+    try {
+        await command.execute(interaction, userId, userName, persona);
+    } catch (error) {
+        console.error(`Command error (/${interaction.commandName}):`, error);
+        const lang = getUserLanguage(userId, interaction.locale);
+        const payload = {
+            content: getCustomResponse('apiFailed', userName, lang, persona) || "Having trouble! 💕",
+            flags: MessageFlags.Ephemeral
+        };
+        
+        const send = interaction.deferred || interaction.replied
+            ? interaction.followUp(payload)
+            : interaction.reply(payload);
+        await send.catch(console.error);
+    }
+});
+
+// Archived threads aren't continued, the user's next message in the channel starts a new one
+client.on('threadUpdate', (oldThread, newThread) => {
+    if (newThread.archived) forgetThread(newThread.id);
+});
+
+client.on('threadDelete', thread => forgetThread(thread.id));
+
 // ============================================================================
 // ERROR HANDLING & SHUTDOWN
 // ============================================================================
@@ -843,6 +6121,10 @@ const shutdown = async (signal) => {
     console.log(`\n💾 ${signal}, saving...`);
     try {
         await saveConversations();
+        if (guildSaveTimeout) await saveGuildSettings();
+        if (scheduleSaveTimeout) await saveSchedules();
+        if (quotaSaveTimeout) await saveQuotas();
+        await storage?.close();
         console.log('✅ Saved');
     } catch (error) {
         console.error('❌ Save failed:', error);
@@ -862,12 +6144,22 @@ process.on('SIGTERM', () => shutdown('SIGTERM'));
         if (LOW_MEMORY) {
             console.log('🔧 LOW MEMORY MODE ENABLED');
             console.log(`📊 Limits: ${CONFIG.limits.conversationHistory} msgs, ${CONFIG.limits.maxUsersInMemory} users`);
+            if (CONFIG.storage.backend === 'json') {
+                console.warn('⚠️ JSON storage keeps every user in memory, install better-sqlite3 to free memory on eviction');
+            }
         }
         
         const mem = getMemoryUsage();
         console.log(`💾 Memory: ${mem.heapUsed}MB / ${mem.heapTotal}MB (RSS: ${mem.rss}MB)`);
         
+        checkRateLimitConfig();
+        storage = await openStorage();
         await loadPersonality();
+        watchPersonalities();
+        await loadProviders();
+        await loadModeration();
+        await loadGuildSettings();
+        await loadSchedules();
         await client.login(process.env.DISCORD_TOKEN);
     } catch (error) {
         console.error('❌ Failed to start:', error);